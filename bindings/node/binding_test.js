@@ -1,4 +1,7 @@
 const assert = require("node:assert");
+const { spawnSync } = require("node:child_process");
+const { readdirSync } = require("node:fs");
+const { basename, join } = require("node:path");
 const { test } = require("node:test");
 
 const Parser = require("tree-sitter");
@@ -7,3 +10,78 @@ test("can load grammar", () => {
   const parser = new Parser();
   assert.doesNotThrow(() => parser.setLanguage(require(".")));
 });
+
+test("can compile every bundled query", () => {
+  const language = require(".");
+  for (const file of readdirSync(join(__dirname, "..", "..", "queries"))) {
+    const name = basename(file, ".scm");
+    assert.strictEqual(typeof language[`${name.toUpperCase()}_QUERY`], "string", file);
+    assert.ok(language.queries[name] instanceof Parser.Query, file);
+    assert.strictEqual(language.queries[name], language.queries[name], file);
+  }
+});
+
+test("leaves the predicates it doesn't implement out of the bundled queries", () => {
+  const language = require(".");
+  const parser = new Parser();
+  parser.setLanguage(language);
+  const captures = (name, source) =>
+    language.queries[name].captures(parser.parse(source).rootNode).map(({ name, node }) => [name, node.text]);
+
+  // Without `#strip!`, doc comments keep their markers.
+  assert.deepStrictEqual(
+    captures("tags", "/// Adds one.\nfn f() {}\n").filter(([name]) => name === "doc"),
+    [["doc", "/// Adds one.\n"]],
+  );
+
+  // Without `#not-same-line?`, the `.` of a method call on the line of its
+  // receiver is also captured as an indent.
+  assert.deepStrictEqual(
+    captures("indents", "fn f() { a.b(); }").filter(([name, text]) => name === "indent" && text === "."),
+    [["indent", "."]],
+  );
+});
+
+test("reports why the native addon couldn't be loaded when it is used", () => {
+  // Loads the binding in a process where `node-gyp-build` finds no addon,
+  // after `tree-sitter` has loaded its own through it.
+  const script = `
+    const Parser = require("tree-sitter");
+    require.cache[require.resolve("node-gyp-build")] = {
+      loaded: true,
+      exports: () => { throw new Error("No native build was found"); },
+    };
+    try {
+      new Parser().setLanguage(require("."));
+    } catch (error) {
+      console.log(JSON.stringify([error.message, error.cause && error.cause.message]));
+    }
+  `;
+  const { stdout } = spawnSync(process.execPath, ["-e", script], { cwd: __dirname, encoding: "utf8" });
+  const [message, cause] = JSON.parse(stdout);
+  assert.match(message, /load\(\{ wasm: true \}\)/);
+  assert.strictEqual(cause, "No native build was found");
+});
+
+test("puts the safety qualifiers of items in extern blocks in `safety`", () => {
+  const language = require(".");
+  const parser = new Parser();
+  parser.setLanguage(language);
+  const tree = parser.parse(`unsafe extern "C" {
+    pub safe fn sqrt(x: f64) -> f64;
+    pub unsafe fn free(p: *mut c_void);
+    fn abort();
+    safe static FOO: i32;
+    unsafe static mut BAR: i32;
+}
+
+trait Alloc {
+    unsafe fn free(p: *mut u8);
+}
+`);
+
+  // The field holds an anonymous token, which the corpus tests don't show.
+  const query = new Parser.Query(language, "(_ safety: _ @safety name: (_) @name)");
+  const qualified = query.matches(tree.rootNode).map(({ captures }) => captures.map(({ node }) => node.text));
+  assert.deepStrictEqual(qualified, [["safe", "sqrt"], ["unsafe", "free"], ["safe", "FOO"], ["unsafe", "BAR"]]);
+});
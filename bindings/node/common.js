@@ -0,0 +1,69 @@
+// The exports shared by the native and the WebAssembly bindings, which don't
+// depend on the backend beyond the `Query` class used to compile the queries.
+
+const { SymbolKind, documentSymbols, foldingRanges, selectionRanges } = require("./lsp");
+const { extractSymbols } = require("./symbols");
+
+let nodeTypeInfo;
+try {
+  nodeTypeInfo = require("../../src/node-types.json");
+} catch (_) {}
+
+// The bundled queries, keyed by the name of their file in `queries/`. Each is
+// exported as a string, e.g. `HIGHLIGHTS_QUERY`, and as a `Query` compiled on
+// first use in `queries`, e.g. `queries.highlights`. The sources are embedded
+// in `queries.js` by `npm run generate-queries`.
+const sources = require("./queries");
+
+// The named node kinds in each supertype, including those of nested supertypes.
+const subtypes = new Map();
+
+function kindsOf(kind) {
+  if (!subtypes.has(kind)) {
+    const info = nodeTypeInfo?.find((type) => type.named && type.type === kind);
+    const kinds = new Set();
+    for (const subtype of info?.subtypes ?? []) {
+      if (!subtype.named) continue;
+      kinds.add(subtype.type);
+      for (const nested of kindsOf(subtype.type)) kinds.add(nested);
+    }
+    subtypes.set(kind, kinds);
+  }
+  return subtypes.get(kind);
+}
+
+function isKind(node, kind) {
+  return node != null && node.isNamed && (node.type === kind || kindsOf(kind).has(node.type));
+}
+
+// Adds the shared exports to `target`. The `backend` compiles the source of a
+// query into a `Query` and parses source code into a `Tree`; without it, only
+// the query sources are defined.
+function define(target, backend) {
+  if (nodeTypeInfo) target.nodeTypeInfo = nodeTypeInfo;
+
+  const queries = {};
+  for (const [name, source] of Object.entries(sources)) {
+    target[`${name.toUpperCase()}_QUERY`] = source;
+    Object.defineProperty(queries, name, {
+      configurable: true,
+      enumerable: true,
+      get() {
+        const query = backend.compile(source);
+        Object.defineProperty(queries, name, { enumerable: true, value: query });
+        return query;
+      },
+    });
+  }
+  if (backend) {
+    target.queries = queries;
+    target.extractSymbols = (input) =>
+      extractSymbols(typeof input === "string" ? backend.parse(input) : input, queries.tags);
+  }
+
+  target.isKind = isKind;
+  Object.assign(target, { SymbolKind, documentSymbols, foldingRanges, selectionRanges });
+  return target;
+}
+
+module.exports = { define };
@@ -0,0 +1,33 @@
+const assert = require("node:assert");
+const { copyFileSync, mkdtempSync, readFileSync, rmSync } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join } = require("node:path");
+const { test } = require("node:test");
+
+const { generate, readQueries, output } = require("../../script/generate-queries.js");
+
+test("common: the embedded queries are up to date", () => {
+  assert.strictEqual(readFileSync(output, "utf8"), generate(readQueries()), "run `npm run generate-queries`");
+});
+
+test("common: defines the query sources without reading queries/", () => {
+  // Loads the modules from a directory with nothing around them, as a bundle
+  // would, so that they can't reach the files of the package.
+  const dir = mkdtempSync(join(tmpdir(), "tree-sitter-rust-"));
+  try {
+    for (const file of ["common.js", "queries.js", "lsp.js", "symbols.js"]) {
+      copyFileSync(join(__dirname, file), join(dir, file));
+    }
+    const { define } = require(join(dir, "common.js"));
+    const language = define({}, null);
+
+    const sources = readQueries();
+    assert.ok(Object.keys(sources).length > 0);
+    for (const [name, source] of Object.entries(sources)) {
+      assert.strictEqual(language[`${name.toUpperCase()}_QUERY`], source, name);
+    }
+    assert.strictEqual(language.queries, undefined);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
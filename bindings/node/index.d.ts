@@ -1,3 +1,6 @@
+import Lsp = require("./lsp");
+import Syntax = require("./syntax");
+
 type BaseNode = {
   type: string;
   named: boolean;
@@ -18,11 +21,177 @@ type NodeInfo =
       children: ChildNode[];
     });
 
-type Language = {
-  name: string;
-  language: unknown;
-  nodeTypeInfo: NodeInfo[];
-};
+declare namespace language {
+  /** A zero-based row and byte column in the source code. */
+  export interface Point {
+    row: number;
+    column: number;
+  }
+
+  /**
+   * A query compiled by `tree-sitter`, typed by the parts used here without
+   * depending on `tree-sitter`. Its captures are nodes of the tree it is run on.
+   */
+  export interface Query {
+    readonly captureNames: string[];
+    matches<N extends Lsp.NodeLike>(
+      node: N,
+      options?: object,
+    ): { pattern: number; captures: { name: string; node: N }[]; setProperties?: { [key: string]: string | null } }[];
+    captures<N extends Lsp.NodeLike>(node: N, options?: object): { name: string; node: N }[];
+  }
+
+  export const name: string;
+  export const language: unknown;
+  export const nodeTypeInfo: NodeInfo[];
+
+  /** The source of `queries/highlights.scm`. */
+  export const HIGHLIGHTS_QUERY: string;
+  /** The source of `queries/injections.scm`. */
+  export const INJECTIONS_QUERY: string;
+  /** The source of `queries/locals.scm`. */
+  export const LOCALS_QUERY: string;
+  /** The source of `queries/tags.scm`. */
+  export const TAGS_QUERY: string;
+  /** The source of `queries/folds.scm`. */
+  export const FOLDS_QUERY: string;
+  /** The source of `queries/indents.scm`. */
+  export const INDENTS_QUERY: string;
+  /** The source of `queries/textobjects.scm`. */
+  export const TEXTOBJECTS_QUERY: string;
+
+  /**
+   * The bundled queries, each compiled the first time it is accessed.
+   * Requires the `tree-sitter` package.
+   *
+   * `tree-sitter` throws on predicates it doesn't implement, so they are left
+   * out of these queries, which then match more than the sources say:
+   *
+   * - `#strip!` in `tags`: `@doc` captures keep their `///` markers and
+   *   trailing newline. `extractSymbols` strips them itself.
+   * - `#select-adjacent!` in `tags`: `@doc` captures can include doc
+   *   comments separated from the definition by blank lines.
+   *   `extractSymbols` leaves them out itself.
+   * - `#not-same-line?` in `indents`: the `@indent` of method chains and
+   *   assignments is also captured when the continuation is on the same line.
+   */
+  export const queries: {
+    readonly highlights: Query;
+    readonly injections: Query;
+    readonly locals: Query;
+    readonly tags: Query;
+    readonly folds: Query;
+    readonly indents: Query;
+    readonly textobjects: Query;
+  };
+
+  /**
+   * Checks whether a node is a named node of the given kind, or of any kind
+   * in the given supertype, and narrows its type accordingly.
+   */
+  export function isKind<K extends Node.NodeKind>(
+    node: Lsp.NodeLike | null | undefined,
+    kind: K,
+  ): node is Node.NodeKindMap[K];
+
+  /** The span of a node in the source code. */
+  export interface Range {
+    startIndex: number;
+    endIndex: number;
+    startPosition: Point;
+    endPosition: Point;
+  }
+
+  /** A definition or reference found by `queries/tags.scm`. */
+  export interface SymbolInfo {
+    /** The kind of the symbol in tags.scm, e.g. `function`, `method` or `call`. */
+    kind: string;
+    isDefinition: boolean;
+    name: string;
+    /** The range of the whole definition or reference. */
+    range: Range;
+    /** The range of the symbol's name. */
+    nameRange: Range;
+    /**
+     * The item the symbol is nested in, with the type and trait for an
+     * implementation, or `null` at the top level.
+     */
+    container:
+      | { kind: "impl_item"; name: string; type: string; trait: string | null }
+      | { kind: string; name: string }
+      | null;
+    /** The names of the modules the symbol is nested in, from the outermost. */
+    path: string[];
+    /** The visibility modifier of a definition, e.g. `pub(crate)`. */
+    visibility: string | null;
+    /** The text of the doc comments above a definition, without their markers. */
+    doc: string | null;
+  }
+
+  /**
+   * Extracts the definitions and references in a source file or tree, in the
+   * order they appear. Requires the `tree-sitter` package.
+   */
+  export function extractSymbols(input: string | Lsp.TreeLike): SymbolInfo[];
+
+  /** The structures of the Language Server Protocol, computed from a tree. */
+  export import SymbolKind = Lsp.SymbolKind;
+  export import DocumentSymbol = Lsp.DocumentSymbol;
+  export import FoldingRange = Lsp.FoldingRange;
+  export import SelectionRange = Lsp.SelectionRange;
+  export import documentSymbols = Lsp.documentSymbols;
+  export import foldingRanges = Lsp.foldingRanges;
+  export import selectionRanges = Lsp.selectionRanges;
+
+  /**
+   * The grammar compiled to WebAssembly and loaded through `web-tree-sitter`,
+   * with the exports of this binding. Its queries and trees are typed here
+   * without depending on `web-tree-sitter`; `WasmLanguage` from
+   * `tree-sitter-rust/bindings/node/wasm` types them with it.
+   */
+  export type WasmLanguage = Pick<
+    typeof import("."),
+    | "nodeTypeInfo"
+    | "HIGHLIGHTS_QUERY"
+    | "INJECTIONS_QUERY"
+    | "LOCALS_QUERY"
+    | "TAGS_QUERY"
+    | "FOLDS_QUERY"
+    | "INDENTS_QUERY"
+    | "TEXTOBJECTS_QUERY"
+    | "SymbolKind"
+    | "documentSymbols"
+    | "foldingRanges"
+    | "selectionRanges"
+  > & {
+    /** The bundled queries, each compiled the first time it is accessed. */
+    readonly queries: { readonly [name in keyof typeof queries]: object };
+
+    /** Checks whether a node is a named node of the given kind, or of any kind in the given supertype. */
+    isKind(node: object | null | undefined, kind: Node.NodeKind): boolean;
+
+    /** Extracts the definitions and references in a source file or tree, in the order they appear. */
+    extractSymbols(input: string | Lsp.TreeLike): SymbolInfo[];
+  };
+
+  export interface LoadOptions {
+    /**
+     * Where to read `tree-sitter-rust.wasm` from: a path in Node or a URL in a
+     * browser. Defaults to the module in this package.
+     */
+    path?: string;
+  }
+
+  /**
+   * Resolves to this binding, or, when `wasm` is set or the native addon
+   * could not be loaded, to the grammar compiled to WebAssembly and loaded
+   * through `web-tree-sitter`, with the same exports.
+   */
+  export function load(options?: LoadOptions & { wasm?: false }): Promise<typeof import(".") | WasmLanguage>;
+  export function load(options: LoadOptions & { wasm: true }): Promise<WasmLanguage>;
+
+  /** The types of the nodes in a Rust syntax tree. */
+  export import Node = Syntax;
+}
 
-declare const language: Language;
 export = language;
@@ -1,11 +1,59 @@
-const root = require("path").join(__dirname, "..", "..");
+const { define } = require("./common");
 
-module.exports =
-  typeof process.versions.bun === "string"
-    // Support `bun build --compile` by being statically analyzable enough to find the .node file at build-time
-    ? require(`../../prebuilds/${process.platform}-${process.arch}/tree-sitter-rust.node`)
-    : require("node-gyp-build")(root);
+const root = require("path").join(__dirname, "..", "..");
 
+let native = true;
 try {
-  module.exports.nodeTypeInfo = require("../../src/node-types.json");
-} catch (_) {}
+  module.exports =
+    typeof process.versions.bun === "string"
+      // Support `bun build --compile` by being statically analyzable enough to find the .node file at build-time
+      ? require(`../../prebuilds/${process.platform}-${process.arch}/tree-sitter-rust.node`)
+      : require("node-gyp-build")(root);
+} catch (error) {
+  // Without a prebuild for this platform or a toolchain to build the addon,
+  // the grammar is only available through `load`, from WebAssembly. Using
+  // the native language anyway reports why it couldn't be loaded.
+  native = false;
+  module.exports = {};
+  Object.defineProperty(module.exports, "language", {
+    get() {
+      throw new Error(
+        "The native tree-sitter-rust addon could not be loaded; use `load({ wasm: true })` to load the grammar from WebAssembly",
+        { cause: error },
+      );
+    },
+  });
+}
+
+// `tree-sitter` throws on predicates it doesn't implement, such as `#strip!`
+// in tags.scm or `#not-same-line?` in indents.scm, which are meant for other
+// tools, so they are left out of the queries it compiles.
+const PREDICATES = new Set([
+  "eq?", "not-eq?", "any-eq?", "any-not-eq?",
+  "match?", "not-match?", "any-match?", "any-not-match?",
+  "any-of?", "not-any-of?",
+  "set!", "is?", "is-not?",
+]);
+
+function withoutUnsupportedPredicates(source) {
+  return source.replace(
+    /\(#([\w-]+[?!])(?:[^()"]|"(?:[^"\\]|\\.)*")*\)/g,
+    (predicate, name) => PREDICATES.has(name) ? predicate : "",
+  );
+}
+
+define(module.exports, native && {
+  compile(source) {
+    const { Query } = require("tree-sitter");
+    return new Query(module.exports, withoutUnsupportedPredicates(source));
+  },
+  parse(source) {
+    const Parser = require("tree-sitter");
+    const parser = new Parser();
+    parser.setLanguage(module.exports);
+    return parser.parse(source);
+  },
+});
+
+module.exports.load = ({ wasm = false, path } = {}) =>
+  wasm || !native ? require("./wasm").load({ path }) : Promise.resolve(module.exports);
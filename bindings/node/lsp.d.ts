@@ -0,0 +1,87 @@
+/**
+ * The parts of a syntax node that are used here, which nodes of both
+ * `tree-sitter` and `web-tree-sitter` have.
+ */
+export interface NodeLike {
+  readonly type: string;
+  readonly text: string;
+  readonly isNamed: boolean;
+  readonly startPosition: { row: number; column: number };
+  readonly endPosition: { row: number; column: number };
+  readonly parent: NodeLike | null;
+  readonly children: readonly (NodeLike | null)[];
+  readonly namedChildren: readonly (NodeLike | null)[];
+  childForFieldName(fieldName: string): NodeLike | null;
+  descendantForPosition(position: { row: number; column: number }): NodeLike | null;
+}
+
+/** A tree parsed by `tree-sitter` or `web-tree-sitter`. */
+export interface TreeLike {
+  readonly rootNode: NodeLike;
+}
+
+/** A zero-based line and UTF-16 character offset in a document. */
+export interface Position {
+  line: number;
+  character: number;
+}
+
+/** The span between two positions, exclusive of its end. */
+export interface Range {
+  start: Position;
+  end: Position;
+}
+
+/** The values of the LSP `SymbolKind` enumeration that are used here. */
+export const SymbolKind: {
+  readonly Module: 2;
+  readonly Method: 6;
+  readonly Field: 8;
+  readonly Enum: 10;
+  readonly Interface: 11;
+  readonly Function: 12;
+  readonly Constant: 14;
+  readonly Object: 19;
+  readonly EnumMember: 22;
+  readonly Struct: 23;
+  readonly TypeParameter: 26;
+};
+
+export type SymbolKind = (typeof SymbolKind)[keyof typeof SymbolKind];
+
+export interface DocumentSymbol {
+  name: string;
+  kind: SymbolKind;
+  /** The range of the whole item, without its attributes and doc comments. */
+  range: Range;
+  /** The range of the item's name, or of the type of an implementation. */
+  selectionRange: Range;
+  children?: DocumentSymbol[];
+}
+
+export interface FoldingRange {
+  startLine: number;
+  endLine: number;
+  kind?: "comment" | "imports" | "region";
+}
+
+export interface SelectionRange {
+  range: Range;
+  parent?: SelectionRange;
+}
+
+/**
+ * Returns the symbols of the items in a tree, with the items of modules,
+ * implementations and traits, the fields of structs and unions, the variants
+ * of enums and the items in function bodies as their children.
+ */
+export function documentSymbols(tree: TreeLike): DocumentSymbol[];
+
+/**
+ * Returns the folding ranges of a tree: delimited bodies, runs of line
+ * comments and `use` declarations, block comments and `// #region` regions.
+ */
+export function foldingRanges(tree: TreeLike): FoldingRange[];
+
+/** Returns the chain of enclosing ranges at each position, from the smallest node outwards. */
+export function selectionRanges(tree: TreeLike, positions: Position[]): SelectionRange[];
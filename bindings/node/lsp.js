@@ -0,0 +1,258 @@
+// Converts a syntax tree into the structures of the Language Server Protocol:
+// document symbols, folding ranges and selection ranges.
+//
+// Both `tree-sitter` and `web-tree-sitter` parse JavaScript strings as UTF-16,
+// so the rows and columns of nodes are already LSP positions.
+
+/** The values of the LSP `SymbolKind` enumeration that are used here. */
+const SymbolKind = Object.freeze({
+  Module: 2,
+  Method: 6,
+  Field: 8,
+  Enum: 10,
+  Interface: 11,
+  Function: 12,
+  Constant: 14,
+  Object: 19,
+  EnumMember: 22,
+  Struct: 23,
+  TypeParameter: 26,
+});
+
+function positionOf(point) {
+  return { line: point.row, character: point.column };
+}
+
+function rangeOf(node) {
+  return { start: positionOf(node.startPosition), end: positionOf(node.endPosition) };
+}
+
+// Section - Document symbols
+
+function documentSymbol(node, name, selectionNode, kind, children = []) {
+  const symbol = { name, kind, range: rangeOf(node), selectionRange: rangeOf(selectionNode) };
+  if (children.length > 0) symbol.children = children;
+  return symbol;
+}
+
+function fieldSymbols(body) {
+  if (!body || body.type !== "field_declaration_list") return [];
+  return body.namedChildren
+    .filter((child) => child.type === "field_declaration")
+    .map((field) => {
+      const name = field.childForFieldName("name");
+      return documentSymbol(field, name.text, name, SymbolKind.Field);
+    });
+}
+
+function variantSymbols(body) {
+  return body.namedChildren
+    .filter((child) => child.type === "enum_variant")
+    .map((variant) => {
+      const name = variant.childForFieldName("name");
+      const fields = fieldSymbols(variant.childForFieldName("body"));
+      return documentSymbol(variant, name.text, name, SymbolKind.EnumMember, fields);
+    });
+}
+
+function implName(node) {
+  const type = node.childForFieldName("type").text;
+  const trait = node.childForFieldName("trait");
+  if (!trait) return `impl ${type}`;
+  const negative = node.children.some((child) => child.type === "!");
+  return `impl ${negative ? "!" : ""}${trait.text} for ${type}`;
+}
+
+// The symbols of the items directly in `node`, which is a source file, a
+// declaration list or a block. Functions are methods in `impl` and `trait`
+// bodies.
+function itemSymbols(node, inImplOrTrait = false) {
+  const symbols = [];
+  for (const child of node?.namedChildren ?? []) {
+    if (child.type === "foreign_mod_item") {
+      symbols.push(...itemSymbols(child.childForFieldName("body")));
+      continue;
+    }
+    const symbol = itemSymbol(child, inImplOrTrait);
+    if (symbol) symbols.push(symbol);
+  }
+  return symbols;
+}
+
+function itemSymbol(node, inImplOrTrait) {
+  const name = node.childForFieldName("name");
+  const body = node.childForFieldName("body");
+  switch (node.type) {
+    case "mod_item":
+      return documentSymbol(node, name.text, name, SymbolKind.Module, itemSymbols(body));
+    case "impl_item": {
+      const type = node.childForFieldName("type");
+      return documentSymbol(node, implName(node), type, SymbolKind.Object, itemSymbols(body, true));
+    }
+    case "trait_item":
+      return documentSymbol(node, name.text, name, SymbolKind.Interface, itemSymbols(body, true));
+    case "trait_alias_item":
+      return documentSymbol(node, name.text, name, SymbolKind.Interface);
+    case "function_item":
+    case "function_signature_item":
+      return documentSymbol(
+        node,
+        name.text,
+        name,
+        inImplOrTrait ? SymbolKind.Method : SymbolKind.Function,
+        itemSymbols(body),
+      );
+    case "struct_item":
+    case "union_item":
+      return documentSymbol(node, name.text, name, SymbolKind.Struct, fieldSymbols(body));
+    case "enum_item":
+      return documentSymbol(node, name.text, name, SymbolKind.Enum, variantSymbols(body));
+    case "const_item":
+    case "static_item":
+      return documentSymbol(node, name.text, name, SymbolKind.Constant);
+    case "type_item":
+    case "associated_type":
+      return documentSymbol(node, name.text, name, SymbolKind.TypeParameter);
+    case "macro_definition":
+    case "decl_macro_definition":
+      return documentSymbol(node, name.text, name, SymbolKind.Function);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns the `DocumentSymbol`s of the items in a tree, with the items of
+ * modules, implementations and traits, the fields of structs and unions, the
+ * variants of enums and the items in function bodies as their children.
+ */
+function documentSymbols(tree) {
+  return itemSymbols(tree.rootNode);
+}
+
+// Section - Folding ranges
+
+// Nodes whose contents fold up to the line of their closing delimiter.
+const DELIMITED = new Set([
+  "declaration_list",
+  "field_declaration_list",
+  "ordered_field_declaration_list",
+  "enum_variant_list",
+  "match_block",
+  "block",
+  "use_list",
+  "token_tree",
+  "format_arguments",
+  "meta_arguments",
+]);
+
+const REGION_START = /^\/\/\s*#?region\b/;
+const REGION_END = /^\/\/\s*#?endregion\b/;
+
+function isRegionMarker(node) {
+  return node.type === "line_comment" && (REGION_START.test(node.text) || REGION_END.test(node.text));
+}
+
+function foldingRange(startLine, endLine, kind) {
+  const range = { startLine, endLine };
+  if (kind) range.kind = kind;
+  return range;
+}
+
+// The last line of a node, which is the line before its end for nodes that
+// include their trailing newline, like doc comments.
+function lastLine(node) {
+  const { row, column } = node.endPosition;
+  return column === 0 && row > node.startPosition.row ? row - 1 : row;
+}
+
+// Collects the runs of consecutive siblings for which `test` holds, on
+// consecutive lines, that span more than one line.
+function runs(children, test, kind, ranges) {
+  let first = null;
+  let last = null;
+  const flush = () => {
+    if (first && lastLine(last) > first.startPosition.row) {
+      ranges.push(foldingRange(first.startPosition.row, lastLine(last), kind));
+    }
+    first = last = null;
+  };
+  for (const child of children) {
+    if (!test(child)) {
+      flush();
+      continue;
+    }
+    if (last && child.startPosition.row > lastLine(last) + 1) flush();
+    first ??= child;
+    last = child;
+  }
+  flush();
+}
+
+function collectFoldingRanges(node, ranges, regions) {
+  const { startPosition: start, endPosition: end } = node;
+  if (DELIMITED.has(node.type) && end.row - 1 > start.row) {
+    ranges.push(foldingRange(start.row, end.row - 1, node.type === "use_list" ? "imports" : undefined));
+  } else if (node.type === "block_comment" && end.row > start.row) {
+    ranges.push(foldingRange(start.row, end.row, "comment"));
+  } else if (node.type === "line_comment") {
+    if (REGION_START.test(node.text)) {
+      regions.push(start.row);
+    } else if (REGION_END.test(node.text) && regions.length > 0) {
+      ranges.push(foldingRange(regions.pop(), start.row, "region"));
+    }
+  }
+
+  const { children } = node;
+  runs(children, (child) => child.type === "line_comment" && !isRegionMarker(child), "comment", ranges);
+  runs(children, (child) => child.type === "use_declaration", "imports", ranges);
+  for (const child of children) collectFoldingRanges(child, ranges, regions);
+}
+
+/**
+ * Returns the `FoldingRange`s of a tree: delimited bodies, such as blocks and
+ * `use` lists, up to the line of their closing delimiter, runs of line
+ * comments, block comments, runs of `use` declarations and the regions
+ * between `// #region` and `// #endregion` comments. Of the ranges starting
+ * on the same line, only the outermost is kept.
+ */
+function foldingRanges(tree) {
+  const ranges = [];
+  collectFoldingRanges(tree.rootNode, ranges, []);
+
+  const outermost = new Map();
+  for (const range of ranges) {
+    if (!outermost.has(range.startLine)) outermost.set(range.startLine, range);
+  }
+  return [...outermost.values()].sort((a, b) => a.startLine - b.startLine);
+}
+
+// Section - Selection ranges
+
+function sameRange(a, b) {
+  return a.start.line === b.start.line && a.start.character === b.start.character &&
+    a.end.line === b.end.line && a.end.character === b.end.character;
+}
+
+/**
+ * Returns a `SelectionRange` for each position: the smallest node at the
+ * position, whose `parent` chain expands through each enclosing node with a
+ * larger range up to the whole file.
+ */
+function selectionRanges(tree, positions) {
+  return positions.map(({ line, character }) => {
+    const point = { row: line, column: character };
+    const nodes = [];
+    for (let node = tree.rootNode.descendantForPosition(point); node; node = node.parent) nodes.unshift(node);
+
+    let selection;
+    for (const node of nodes) {
+      const range = rangeOf(node);
+      if (selection && sameRange(selection.range, range)) continue;
+      selection = selection ? { range, parent: selection } : { range };
+    }
+    return selection;
+  });
+}
+
+module.exports = { SymbolKind, documentSymbols, foldingRanges, selectionRanges };
@@ -0,0 +1,182 @@
+const assert = require("node:assert");
+const { readFileSync, writeFileSync } = require("node:fs");
+const { join } = require("node:path");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const Rust = require(".");
+
+const root = join(__dirname, "..", "..");
+
+function parse(source) {
+  const parser = new Parser();
+  parser.setLanguage(Rust);
+  return parser.parse(source);
+}
+
+// The names and kinds of symbols, with their children.
+function outline(symbols) {
+  return symbols.map(({ name, kind, children }) => (children ? [name, kind, outline(children)] : [name, kind]));
+}
+
+function range(startLine, startCharacter, endLine, endCharacter) {
+  return { start: { line: startLine, character: startCharacter }, end: { line: endLine, character: endCharacter } };
+}
+
+// Compares lines of output for examples/ast.rs with a fixture in test/lsp, or
+// rewrites the fixture when `UPDATE_FIXTURES` is set.
+function assertFixture(name, lines) {
+  const path = join(root, "test", "lsp", `ast.${name}.txt`);
+  const actual = lines.map((line) => `${line}\n`).join("");
+  if (process.env.UPDATE_FIXTURES) writeFileSync(path, actual);
+  assert.strictEqual(actual, readFileSync(path, "utf8"));
+}
+
+test("lsp: nests symbols in modules, implementations and enums", () => {
+  const tree = parse(`mod shapes {
+    pub struct Point { x: f64 }
+
+    impl Shape for Point {
+        fn area(&self) -> f64 { 0.0 }
+    }
+
+    enum Kind { Round, Square { side: f64 } }
+}
+`);
+
+  const { Module, Struct, Field, Object, Method, Enum, EnumMember } = Rust.SymbolKind;
+  assert.deepStrictEqual(outline(Rust.documentSymbols(tree)), [
+    ["shapes", Module, [
+      ["Point", Struct, [["x", Field]]],
+      ["impl Shape for Point", Object, [["area", Method]]],
+      ["Kind", Enum, [["Round", EnumMember], ["Square", EnumMember, [["side", Field]]]]],
+    ]],
+  ]);
+});
+
+test("lsp: folds regions, comment runs and imports", () => {
+  const tree = parse(`// #region imports
+use std::fmt;
+use std::io::{
+    Read,
+    Write,
+};
+// #endregion
+
+// A comment
+// over two lines.
+fn main() {
+    let x = 1;
+}
+`);
+
+  assert.deepStrictEqual(Rust.foldingRanges(tree), [
+    { startLine: 0, endLine: 6, kind: "region" },
+    { startLine: 1, endLine: 5, kind: "imports" },
+    { startLine: 2, endLine: 4, kind: "imports" },
+    { startLine: 8, endLine: 9, kind: "comment" },
+    { startLine: 10, endLine: 11 },
+  ]);
+});
+
+test("lsp: reports the kinds and ranges of items", () => {
+  const tree = parse(`/// A point.
+#[derive(Debug)]
+pub struct Point {
+    x: f64,
+}
+
+trait Shape {
+    fn area(&self) -> f64;
+    type Output;
+}
+
+extern "C" {
+    fn abs(x: i32) -> i32;
+}
+
+fn main() {
+    const N: usize = 1;
+    fn helper() {}
+}
+
+macro_rules! square { ($x:expr) => { $x * $x } }
+`);
+
+  const symbols = Rust.documentSymbols(tree);
+  const { Struct, Field, Interface, Method, TypeParameter, Function, Constant } = Rust.SymbolKind;
+  assert.deepStrictEqual(outline(symbols), [
+    ["Point", Struct, [["x", Field]]],
+    ["Shape", Interface, [["area", Method], ["Output", TypeParameter]]],
+    ["abs", Function],
+    ["main", Function, [["N", Constant], ["helper", Function]]],
+    ["square", Function],
+  ]);
+
+  // The attributes and doc comments of an item are not part of its range.
+  assert.deepStrictEqual(symbols[0].range, range(2, 0, 4, 1));
+  assert.deepStrictEqual(symbols[0].selectionRange, range(2, 11, 2, 16));
+  assert.deepStrictEqual(symbols[0].children[0].range, range(3, 4, 3, 10));
+});
+
+test("lsp: folds bodies up to the line of their closing delimiter", () => {
+  const tree = parse(`/*
+ * A block comment.
+ */
+fn f(x: u8) -> u8 {
+    match x {
+        0 => 1,
+        _ => {
+            2
+        }
+    }
+}
+`);
+
+  assert.deepStrictEqual(Rust.foldingRanges(tree), [
+    { startLine: 0, endLine: 2, kind: "comment" },
+    { startLine: 3, endLine: 9 },
+    { startLine: 4, endLine: 8 },
+    { startLine: 6, endLine: 7 },
+  ]);
+});
+
+test("lsp: expands selections through the enclosing nodes", () => {
+  const tree = parse(`fn f() {
+    let x = a + b;
+}
+`);
+
+  const ranges = [];
+  for (let selection = Rust.selectionRanges(tree, [{ line: 1, character: 12 }])[0]; selection; selection = selection.parent) {
+    ranges.push(selection.range);
+  }
+  assert.deepStrictEqual(ranges, [
+    range(1, 12, 1, 13),
+    range(1, 12, 1, 17),
+    range(1, 4, 1, 18),
+    range(0, 7, 2, 1),
+    range(0, 0, 2, 1),
+    range(0, 0, 3, 0),
+  ]);
+});
+
+test("lsp: outline and folding ranges of examples/ast.rs", () => {
+  const tree = parse(readFileSync(join(root, "examples", "ast.rs"), "utf8"));
+
+  // `Kind name` for each symbol, indented under its parent.
+  const kinds = Object.fromEntries(Object.entries(Rust.SymbolKind).map(([kind, value]) => [value, kind]));
+  const symbols = [];
+  (function walk(children, depth) {
+    for (const { name, kind, children: nested } of children) {
+      symbols.push(`${"  ".repeat(depth)}${kinds[kind]} ${name}`);
+      if (nested) walk(nested, depth + 1);
+    }
+  })(Rust.documentSymbols(tree), 0);
+  assertFixture("document-symbols", symbols);
+
+  assertFixture(
+    "folding-ranges",
+    Rust.foldingRanges(tree).map(({ startLine, endLine, kind }) => `${startLine}-${endLine}${kind ? ` ${kind}` : ""}`),
+  );
+});
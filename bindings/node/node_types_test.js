@@ -0,0 +1,61 @@
+const assert = require("node:assert");
+const { readFileSync } = require("node:fs");
+const { test } = require("node:test");
+
+const nodeTypes = require("../../src/node-types.json");
+const { generate, output } = require("../../script/generate-typings.js");
+
+const supertypes = new Map(
+  nodeTypes.filter((type) => type.subtypes).map((type) => [type.type, type.subtypes.map((subtype) => subtype.type)]),
+);
+
+// Expression and pattern nodes whose children are a plain list of elements,
+// where a field name would not say anything the position doesn't.
+const LISTS = new Set(["tuple_expression", "tuple_pattern", "slice_pattern"]);
+
+function hasFields(type) {
+  return Object.keys(type.fields ?? {}).length > 0;
+}
+
+test("node-types: expression and pattern nodes with several children name them with fields", () => {
+  const kinds = new Set([...supertypes.get("_expression"), ...supertypes.get("_pattern")]);
+  const unnamed = nodeTypes
+    .filter((type) => kinds.has(type.type) && !LISTS.has(type.type))
+    .filter((type) => type.children?.multiple && !hasFields(type))
+    .map((type) => type.type);
+
+  assert.deepStrictEqual(unnamed, []);
+});
+
+test("node-types: operands, patterns and block bodies have fields", () => {
+  const expected = {
+    unary_expression: ["operand", "operator"],
+    try_expression: ["value"],
+    await_expression: ["value"],
+    index_expression: ["index", "value"],
+    range_expression: ["end", "start"],
+    parenthesized_expression: ["value"],
+    break_expression: ["value"],
+    ref_pattern: ["pattern"],
+    captured_pattern: ["name", "pattern"],
+    reference_pattern: ["pattern"],
+    or_pattern: ["left", "right"],
+    mut_pattern: ["pattern"],
+    box_pattern: ["pattern"],
+    deref_pattern: ["pattern"],
+    block: ["tail"],
+    unsafe_block: ["body"],
+    async_block: ["body"],
+    gen_block: ["body"],
+    try_block: ["body"],
+  };
+
+  for (const [name, fields] of Object.entries(expected)) {
+    const type = nodeTypes.find((type) => type.type === name && type.named);
+    assert.deepStrictEqual(Object.keys(type.fields).sort(), fields, name);
+  }
+});
+
+test("node-types: the TypeScript typings are up to date", () => {
+  assert.strictEqual(readFileSync(output, "utf8"), generate(nodeTypes), "run `npm run generate-typings`");
+});
@@ -0,0 +1,1222 @@
+// This file is generated by script/generate-queries.js from queries/*.scm.
+// Do not edit it by hand.
+
+module.exports = {
+  folds: `[
+  (declaration_list)
+  (field_declaration_list)
+  (ordered_field_declaration_list)
+  (enum_variant_list)
+  (match_block)
+  (block)
+  (use_list)
+  (token_tree)
+  (meta_arguments)
+  (block_comment)
+] @fold
+
+; Runs of consecutive line comments (including \`///\` and \`//!\` docs) and
+; attributes fold as a single region.
+(line_comment)+ @fold
+
+(attribute_item)+ @fold
+`,
+  highlights: `; Identifiers
+
+(type_identifier) @type
+(primitive_type) @type.builtin
+(field_identifier) @property
+
+; Identifier conventions
+
+; Assume all-caps names are constants
+((identifier) @constant
+ (#match? @constant "^[A-Z][A-Z\\\\d_]+$'"))
+
+; Assume uppercase names are enum constructors
+((identifier) @constructor
+ (#match? @constructor "^[A-Z]"))
+
+; Assume that uppercase names in paths are types
+((scoped_identifier
+  path: (identifier) @type)
+ (#match? @type "^[A-Z]"))
+((scoped_identifier
+  path: (scoped_identifier
+    name: (identifier) @type))
+ (#match? @type "^[A-Z]"))
+((scoped_type_identifier
+  path: (identifier) @type)
+ (#match? @type "^[A-Z]"))
+((scoped_type_identifier
+  path: (scoped_identifier
+    name: (identifier) @type))
+ (#match? @type "^[A-Z]"))
+
+; Assume all qualified names in struct patterns are enum constructors. (They're
+; either that, or struct names; highlighting both as constructors seems to be
+; the less glaring choice of error, visually.)
+(struct_pattern
+  type: (scoped_type_identifier
+    name: (type_identifier) @constructor))
+
+; Function calls
+
+(call_expression
+  function: (identifier) @function)
+(call_expression
+  function: (field_expression
+    field: (field_identifier) @function.method))
+(call_expression
+  function: (scoped_identifier
+    "::"
+    name: (identifier) @function))
+
+(generic_function
+  function: (identifier) @function)
+(generic_function
+  function: (scoped_identifier
+    name: (identifier) @function))
+(generic_function
+  function: (field_expression
+    field: (field_identifier) @function.method))
+
+(macro_invocation
+  macro: (identifier) @function.macro
+  "!" @function.macro)
+
+(deref_pattern
+  "deref" @function.macro
+  "!" @function.macro)
+
+; Format strings
+
+(format_placeholder
+  "{" @punctuation.special
+  "}" @punctuation.special)
+(format_placeholder
+  ":" @punctuation.special)
+(format_placeholder
+  argument: (identifier) @variable)
+(format_spec) @string.special
+(format_named_argument
+  name: (identifier) @variable.parameter)
+
+; Function definitions
+
+(function_item (identifier) @function)
+(function_signature_item (identifier) @function)
+
+(line_comment) @comment
+(block_comment) @comment
+
+(line_comment (doc_comment)) @comment.documentation
+(block_comment (doc_comment)) @comment.documentation
+
+"(" @punctuation.bracket
+")" @punctuation.bracket
+"[" @punctuation.bracket
+"]" @punctuation.bracket
+"{" @punctuation.bracket
+"}" @punctuation.bracket
+
+(type_arguments
+  "<" @punctuation.bracket
+  ">" @punctuation.bracket)
+(type_parameters
+  "<" @punctuation.bracket
+  ">" @punctuation.bracket)
+
+"::" @punctuation.delimiter
+":" @punctuation.delimiter
+"." @punctuation.delimiter
+"," @punctuation.delimiter
+";" @punctuation.delimiter
+
+(parameter (identifier) @variable.parameter)
+
+(lifetime (identifier) @label)
+
+"as" @keyword
+"async" @keyword
+"auto" @keyword
+"await" @keyword
+"become" @keyword
+"box" @keyword
+"break" @keyword
+"const" @keyword
+"continue" @keyword
+"default" @keyword
+"do" @keyword
+"dyn" @keyword
+"else" @keyword
+"enum" @keyword
+"extern" @keyword
+"fn" @keyword
+"for" @keyword
+"gen" @keyword
+"if" @keyword
+"impl" @keyword
+"in" @keyword
+"let" @keyword
+"loop" @keyword
+"macro" @keyword
+"macro_rules!" @keyword
+"match" @keyword
+"mod" @keyword
+"move" @keyword
+"pub" @keyword
+"raw" @keyword
+"ref" @keyword
+"return" @keyword
+"safe" @keyword
+"static" @keyword
+"struct" @keyword
+"trait" @keyword
+"type" @keyword
+"union" @keyword
+"unsafe" @keyword
+"use" @keyword
+"where" @keyword
+"while" @keyword
+"yield" @keyword
+"yeet" @keyword
+(crate) @keyword
+(mutable_specifier) @keyword
+(use_list (self) @keyword)
+(scoped_use_list (self) @keyword)
+(scoped_identifier (self) @keyword)
+(super) @keyword
+
+(self) @variable.builtin
+
+; Byte and C strings
+[
+  (string_literal
+    prefix: (literal_prefix))
+  (raw_string_literal
+    prefix: (literal_prefix))
+  (char_literal
+    prefix: (literal_prefix))
+] @string.special
+
+(char_literal) @string
+(string_literal) @string
+(format_string) @string
+(raw_string_literal) @string
+
+(boolean_literal) @constant.builtin
+(integer_literal) @constant.builtin
+(float_literal) @constant.builtin
+
+(escape_sequence) @escape
+
+(unsafe_attribute
+  "unsafe" @keyword)
+(attribute_item) @attribute
+(inner_attribute_item) @attribute
+
+"*" @operator
+"&" @operator
+"'" @operator
+`,
+  indents: `[
+  (block)
+  (match_block)
+  (declaration_list)
+  (field_declaration_list)
+  (ordered_field_declaration_list)
+  (enum_variant_list)
+  (field_initializer_list)
+  (use_list)
+  (arguments)
+  (parameters)
+  (closure_parameters)
+  (type_arguments)
+  (type_parameters)
+  (array_expression)
+  (tuple_expression)
+  (tuple_pattern)
+  (tuple_type)
+  (struct_pattern)
+  (slice_pattern)
+  (where_clause)
+  (token_tree)
+  (token_tree_pattern)
+  (token_repetition)
+  (meta_arguments)
+] @indent
+
+[
+  "}"
+  "]"
+  ")"
+] @outdent
+
+(type_arguments
+  ">" @outdent)
+
+(type_parameters
+  ">" @outdent)
+
+; Arguments and parameters that start on the same line as the opening
+; delimiter line up with the first one.
+(arguments
+  "("
+  .
+  (_) @anchor
+  (#set! "scope" "tail")) @align
+
+(parameters
+  "("
+  .
+  (_) @anchor
+  (#set! "scope" "tail")) @align
+
+; Method chains: each \`.method()\` on a continuation line is indented once
+; relative to the receiver.
+(field_expression
+  value: (_) @expr-start
+  "." @indent
+  (#not-same-line? @indent @expr-start)
+  (#set! "scope" "all"))
+
+; Unless the receiver itself ends in an opening delimiter, in which case
+; rustfmt keeps the chain at the receiver's indentation.
+(field_expression
+  value: (_) @val
+  "." @outdent
+  (#match? @val "(\\\\A[^\\\\n\\\\r]+(\\\\(|\\\\{|\\\\[)[\\\\t ]*(\\\\n|\\\\r))"))
+
+; Continuation lines of an assignment or initializer.
+(let_declaration
+  .
+  (_) @expr-start
+  value: (_) @indent
+  (#not-same-line? @indent @expr-start)
+  (#set! "scope" "all"))
+
+(assignment_expression
+  .
+  (_) @expr-start
+  right: (_) @indent
+  (#not-same-line? @indent @expr-start)
+  (#set! "scope" "all"))
+
+(compound_assignment_expr
+  .
+  (_) @expr-start
+  right: (_) @indent
+  (#not-same-line? @indent @expr-start)
+  (#set! "scope" "all"))
+`,
+  injections: `((macro_invocation
+  (token_tree) @injection.content)
+ (#set! injection.language "rust")
+ (#set! injection.include-children))
+
+((macro_rule
+  (token_tree) @injection.content)
+ (#set! injection.language "rust")
+ (#set! injection.include-children))
+
+((decl_macro_definition
+  body: (token_tree) @injection.content)
+ (#set! injection.language "rust")
+ (#set! injection.include-children))
+
+; Doc comments are Markdown. All of them are combined into one document so that
+; constructs spanning several \`///\` lines, like lists and fenced code blocks,
+; parse as a whole.
+;
+; Code blocks inside are left to the Markdown grammar's own injections, which
+; pick the language from the info string, so \`\`\`rust is parsed as Rust.
+
+((line_comment
+  doc: (doc_comment) @injection.content)
+ (#set! injection.language "markdown")
+ (#set! injection.combined))
+
+; Untagged fences, which the Markdown grammar leaves alone, are Rust to
+; rustdoc. A query can't tell an untagged opening fence from a closing one, as
+; both are a bare \`\`\`, so only the first code block of a run of \`///\` or \`//!\`
+; lines, with no fence above it, is injected; one after it could be the prose
+; between two code blocks. A run either starts the children of its parent or
+; follows a node that isn't part of it.
+
+((_
+  .
+  (line_comment
+    outer: (outer_doc_comment_marker)
+    doc: (doc_comment) @_before)*
+  .
+  (line_comment
+    outer: (outer_doc_comment_marker)
+    doc: (doc_comment) @_open)
+  .
+  (line_comment
+    outer: (outer_doc_comment_marker)
+    doc: (doc_comment) @injection.content)+
+  .
+  (line_comment
+    outer: (outer_doc_comment_marker)
+    doc: (doc_comment) @_close))
+ (#not-match? @_before "^\\\\s*\`\`\`")
+ (#match? @_open "^\\\\s*\`\`\`\\\\s*$")
+ (#not-match? @injection.content "^\\\\s*\`\`\`")
+ (#match? @_close "^\\\\s*\`\`\`\\\\s*$")
+ (#set! injection.language "rust")
+ (#set! injection.combined))
+
+((_
+  .
+  (line_comment
+    inner: (inner_doc_comment_marker)
+    doc: (doc_comment) @_before)*
+  .
+  (line_comment
+    inner: (inner_doc_comment_marker)
+    doc: (doc_comment) @_open)
+  .
+  (line_comment
+    inner: (inner_doc_comment_marker)
+    doc: (doc_comment) @injection.content)+
+  .
+  (line_comment
+    inner: (inner_doc_comment_marker)
+    doc: (doc_comment) @_close))
+ (#not-match? @_before "^\\\\s*\`\`\`")
+ (#match? @_open "^\\\\s*\`\`\`\\\\s*$")
+ (#not-match? @injection.content "^\\\\s*\`\`\`")
+ (#match? @_close "^\\\\s*\`\`\`\\\\s*$")
+ (#set! injection.language "rust")
+ (#set! injection.combined))
+
+((_) @_previous
+ .
+ (line_comment
+   outer: (outer_doc_comment_marker)
+   doc: (doc_comment) @_before)*
+ .
+ (line_comment
+   outer: (outer_doc_comment_marker)
+   doc: (doc_comment) @_open)
+ .
+ (line_comment
+   outer: (outer_doc_comment_marker)
+   doc: (doc_comment) @injection.content)+
+ .
+ (line_comment
+   outer: (outer_doc_comment_marker)
+   doc: (doc_comment) @_close)
+ (#not-match? @_previous "^///")
+ (#not-match? @_before "^\\\\s*\`\`\`")
+ (#match? @_open "^\\\\s*\`\`\`\\\\s*$")
+ (#not-match? @injection.content "^\\\\s*\`\`\`")
+ (#match? @_close "^\\\\s*\`\`\`\\\\s*$")
+ (#set! injection.language "rust")
+ (#set! injection.combined))
+
+((_) @_previous
+ .
+ (line_comment
+   inner: (inner_doc_comment_marker)
+   doc: (doc_comment) @_before)*
+ .
+ (line_comment
+   inner: (inner_doc_comment_marker)
+   doc: (doc_comment) @_open)
+ .
+ (line_comment
+   inner: (inner_doc_comment_marker)
+   doc: (doc_comment) @injection.content)+
+ .
+ (line_comment
+   inner: (inner_doc_comment_marker)
+   doc: (doc_comment) @_close)
+ (#not-match? @_previous "^//!")
+ (#not-match? @_before "^\\\\s*\`\`\`")
+ (#match? @_open "^\\\\s*\`\`\`\\\\s*$")
+ (#not-match? @injection.content "^\\\\s*\`\`\`")
+ (#match? @_close "^\\\\s*\`\`\`\\\\s*$")
+ (#set! injection.language "rust")
+ (#set! injection.combined))
+
+; \`#[doc = "..."]\` and \`#![doc = "..."]\` are equivalent to doc comments.
+
+((attribute
+  (identifier) @_doc
+  value: [
+    (string_literal
+      (string_content) @injection.content)
+    (raw_string_literal
+      (string_content) @injection.content)
+  ])
+ (#eq? @_doc "doc")
+ (#set! injection.language "markdown")
+ (#set! injection.combined))
+
+; Cargo script frontmatter is a TOML manifest, unless its infostring names
+; another format.
+
+((frontmatter
+  !infostring
+  content: (frontmatter_content) @injection.content)
+ (#set! injection.language "toml"))
+
+((frontmatter
+  infostring: (frontmatter_infostring) @_infostring
+  content: (frontmatter_content) @injection.content)
+ (#eq? @_infostring "cargo")
+ (#set! injection.language "toml"))
+`,
+  locals: `; Scopes
+
+[
+  (block)
+  (function_item)
+  (function_signature_item)
+  (closure_expression)
+  (match_arm)
+  (for_expression)
+  (impl_item)
+  (trait_item)
+  (trait_alias_item)
+  (struct_item)
+  (enum_item)
+  (union_item)
+  (type_item)
+] @local.scope
+
+; \`if let\` and \`while let\` bindings are visible in the consequence/body, so the
+; whole expression has to be the scope.
+(if_expression
+  condition: [
+    (let_condition)
+    (let_chain)
+  ]) @local.scope
+
+(while_expression
+  condition: [
+    (let_condition)
+    (let_chain)
+  ]) @local.scope
+
+; Definitions
+
+(let_declaration
+  pattern: (identifier) @local.definition)
+
+(let_condition
+  pattern: (identifier) @local.definition)
+
+(for_expression
+  pattern: (identifier) @local.definition)
+
+(match_pattern
+  .
+  (identifier) @local.definition)
+
+(parameter
+  pattern: (identifier) @local.definition)
+
+(variadic_parameter
+  pattern: (identifier) @local.definition)
+
+(self_parameter
+  (self) @local.definition)
+
+(closure_parameters
+  (identifier) @local.definition)
+
+; Bindings nested inside other patterns
+
+(tuple_pattern
+  (identifier) @local.definition)
+
+(tuple_struct_pattern
+  "("
+  (identifier) @local.definition)
+
+(slice_pattern
+  (identifier) @local.definition)
+
+(or_pattern
+  (identifier) @local.definition)
+
+(ref_pattern
+  pattern: (identifier) @local.definition)
+
+(mut_pattern
+  pattern: (identifier) @local.definition)
+
+(reference_pattern
+  pattern: (identifier) @local.definition)
+
+(box_pattern
+  pattern: (identifier) @local.definition)
+
+(deref_pattern
+  pattern: (identifier) @local.definition)
+
+(guard_pattern
+  pattern: (identifier) @local.definition)
+
+(captured_pattern
+  name: (identifier) @local.definition)
+
+(captured_pattern
+  pattern: (identifier) @local.definition)
+
+(field_pattern
+  name: (shorthand_field_identifier) @local.definition)
+
+(field_pattern
+  pattern: (identifier) @local.definition)
+
+; Generic parameters
+
+(type_parameter
+  name: (type_identifier) @local.definition)
+
+(lifetime_parameter
+  name: (lifetime) @local.definition)
+
+(const_parameter
+  name: (identifier) @local.definition)
+
+; Labels
+
+(loop_expression
+  (label) @local.definition)
+
+(while_expression
+  (label) @local.definition)
+
+(for_expression
+  (label) @local.definition)
+
+(block
+  (label) @local.definition)
+
+; References
+
+(identifier) @local.reference
+
+(type_identifier) @local.reference
+
+(lifetime) @local.reference
+
+(break_expression
+  (label) @local.reference)
+
+(continue_expression
+  (label) @local.reference)
+`,
+  tags: `; Each definition picks up the run of \`///\` doc comments directly above it
+; (ignoring any attributes in between) as its @doc. \`#select-adjacent!\` keeps
+; the doc comments of an earlier item out of it.
+
+; ADT definitions
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (struct_item
+    name: (type_identifier) @name) @definition.class
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.class)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (enum_item
+    name: (type_identifier) @name) @definition.class
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.class)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (union_item
+    name: (type_identifier) @name) @definition.class
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.class)
+)
+
+; enum variants and fields
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (enum_variant
+    name: (identifier) @name) @definition.enum_variant
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.enum_variant)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (field_declaration
+    name: (field_identifier) @name) @definition.field
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.field)
+)
+
+; type aliases
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (type_item
+    name: (type_identifier) @name) @definition.class
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.class)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (associated_type
+    name: (type_identifier) @name) @definition.type
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.type)
+)
+
+; constants and statics
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (const_item
+    name: (identifier) @name) @definition.constant
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.constant)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (static_item
+    name: (identifier) @name) @definition.constant
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.constant)
+)
+
+; method definitions, including required methods in traits
+
+(declaration_list
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (function_item
+    name: (identifier) @name) @definition.method
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.method))
+
+(trait_item
+  body: (declaration_list
+    (line_comment
+      outer: (outer_doc_comment_marker))* @doc
+    .
+    (attribute_item)*
+    .
+    (function_signature_item
+      name: (identifier) @name) @definition.method
+    (#strip! @doc "^///\\\\s?|\\\\s+$")
+    (#select-adjacent! @doc @definition.method)))
+
+; function definitions, including foreign functions in \`extern\` blocks
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (function_item
+    name: (identifier) @name) @definition.function
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.function)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (function_signature_item
+    name: (identifier) @name) @definition.function
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.function)
+)
+
+; trait definitions
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (trait_item
+    name: (type_identifier) @name) @definition.interface
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.interface)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (trait_alias_item
+    name: (type_identifier) @name) @definition.interface
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.interface)
+)
+
+; module definitions
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (mod_item
+    name: (identifier) @name) @definition.module
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.module)
+)
+
+(extern_crate_declaration
+    name: (identifier) @name
+    !alias) @definition.module
+
+(extern_crate_declaration
+    alias: (identifier) @name) @definition.module
+
+; imports renamed with \`as\`
+
+(use_as_clause
+    alias: (identifier) @name) @definition.alias
+
+; macro definitions
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (macro_definition
+    name: (identifier) @name) @definition.macro
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.macro)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (decl_macro_definition
+    name: (identifier) @name) @definition.macro
+  (#strip! @doc "^///\\\\s?|\\\\s+$")
+  (#select-adjacent! @doc @definition.macro)
+)
+
+; references
+
+(call_expression
+    function: (identifier) @name) @reference.call
+
+(call_expression
+    function: (field_expression
+        field: (field_identifier) @name)) @reference.call
+
+(call_expression
+    function: (scoped_identifier
+        name: (identifier) @name)) @reference.call
+
+(macro_invocation
+    macro: (identifier) @name) @reference.call
+
+(macro_invocation
+    macro: (scoped_identifier
+        name: (identifier) @name)) @reference.call
+
+; implementations
+
+(impl_item
+    trait: [
+        (type_identifier) @name
+        (scoped_type_identifier
+            name: (type_identifier) @name)
+        (generic_type
+            type: [
+                (type_identifier) @name
+                (scoped_type_identifier
+                    name: (type_identifier) @name)
+            ])
+    ]) @reference.implementation
+
+(impl_item
+    type: [
+        (type_identifier) @name
+        (scoped_type_identifier
+            name: (type_identifier) @name)
+        (generic_type
+            type: [
+                (type_identifier) @name
+                (scoped_type_identifier
+                    name: (type_identifier) @name)
+            ])
+    ]
+    !trait) @reference.implementation
+`,
+  textobjects: `; Inner objects cover everything between the delimiters of the body; a capture
+; that appears more than once in a match spans from its first node to its last.
+
+; Functions
+
+(function_item
+  body: (block
+    .
+    (_) @function.inner
+    (_)* @function.inner
+    .)) @function.outer
+
+[
+  (function_item)
+  (function_signature_item)
+] @function.outer
+
+(closure_expression
+  body: (_) @function.inner) @function.outer
+
+; Classes
+
+(struct_item
+  body: (field_declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(struct_item
+  body: (ordered_field_declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(enum_item
+  body: (enum_variant_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(union_item
+  body: (field_declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(trait_item
+  body: (declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(impl_item
+  body: (declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+[
+  (struct_item)
+  (enum_item)
+  (union_item)
+  (trait_item)
+  (impl_item)
+] @class.outer
+
+; Parameters and arguments: the outer object includes the separating comma,
+; which is the trailing one for the first element and the preceding one for
+; every other element.
+
+(parameters
+  "," @parameter.outer
+  .
+  [
+    (parameter)
+    (self_parameter)
+    (variadic_parameter)
+    (_type)
+  ] @parameter.inner @parameter.outer)
+
+(parameters
+  .
+  [
+    (parameter)
+    (self_parameter)
+    (variadic_parameter)
+    (_type)
+  ] @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(parameters
+  .
+  [
+    (parameter)
+    (self_parameter)
+    (variadic_parameter)
+    (_type)
+  ] @parameter.inner @parameter.outer
+  .
+  ")")
+
+(closure_parameters
+  "," @parameter.outer
+  .
+  (_) @parameter.inner @parameter.outer)
+
+(closure_parameters
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(closure_parameters
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "|")
+
+(arguments
+  "," @parameter.outer
+  .
+  (_) @parameter.inner @parameter.outer)
+
+(arguments
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(arguments
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  ")")
+
+(type_arguments
+  "," @parameter.outer
+  .
+  (_) @parameter.inner @parameter.outer)
+
+(type_arguments
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(type_arguments
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  ">")
+
+(type_parameters
+  "," @parameter.outer
+  .
+  (_) @parameter.inner @parameter.outer)
+
+(type_parameters
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(type_parameters
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  ">")
+
+; Calls
+
+(call_expression
+  arguments: (arguments
+    .
+    (_) @call.inner
+    (_)* @call.inner
+    .)) @call.outer
+
+(call_expression) @call.outer
+
+(macro_invocation
+  (token_tree
+    .
+    (_) @call.inner
+    (_)* @call.inner
+    .)) @call.outer
+
+(macro_invocation
+  (format_arguments
+    .
+    (_) @call.inner
+    (_)* @call.inner
+    .)) @call.outer
+
+(macro_invocation) @call.outer
+
+; Comments
+
+(line_comment
+  doc: (doc_comment) @comment.inner) @comment.outer
+
+(block_comment
+  doc: (doc_comment) @comment.inner) @comment.outer
+
+[
+  (line_comment)
+  (block_comment)
+] @comment.outer
+
+; Tests: functions annotated with \`#[test]\` or a \`#[...::test]\` attribute
+; such as \`#[tokio::test]\`.
+
+((attribute_item
+  (attribute
+    [
+      (identifier) @_attribute
+      (scoped_identifier
+        name: (identifier) @_attribute)
+    ]))
+  .
+  [
+    (attribute_item)
+    (line_comment)
+    (block_comment)
+  ]*
+  .
+  (function_item
+    body: (block
+      .
+      (_) @test.inner
+      (_)* @test.inner
+      .)) @test.outer
+  (#eq? @_attribute "test"))
+
+((attribute_item
+  (attribute
+    [
+      (identifier) @_attribute
+      (scoped_identifier
+        name: (identifier) @_attribute)
+    ]))
+  .
+  [
+    (attribute_item)
+    (line_comment)
+    (block_comment)
+  ]*
+  .
+  (function_item) @test.outer
+  (#eq? @_attribute "test"))
+
+; Loops
+
+(loop_expression
+  body: (block
+    .
+    (_) @loop.inner
+    (_)* @loop.inner
+    .)) @loop.outer
+
+(while_expression
+  body: (block
+    .
+    (_) @loop.inner
+    (_)* @loop.inner
+    .)) @loop.outer
+
+(for_expression
+  body: (block
+    .
+    (_) @loop.inner
+    (_)* @loop.inner
+    .)) @loop.outer
+
+[
+  (loop_expression)
+  (while_expression)
+  (for_expression)
+] @loop.outer
+
+; Conditionals
+
+(if_expression
+  consequence: (block
+    .
+    (_) @conditional.inner
+    (_)* @conditional.inner
+    .)) @conditional.outer
+
+(match_expression
+  body: (match_block
+    .
+    (_) @conditional.inner
+    (_)* @conditional.inner
+    .)) @conditional.outer
+
+[
+  (if_expression)
+  (match_expression)
+] @conditional.outer
+`,
+};
@@ -0,0 +1,242 @@
+const assert = require("node:assert");
+const { readFileSync } = require("node:fs");
+const { join } = require("node:path");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const Rust = require(".");
+
+function parse(source) {
+  const parser = new Parser();
+  parser.setLanguage(Rust);
+  return parser.parse(source);
+}
+
+function query(name) {
+  const source = readFileSync(join(__dirname, "..", "..", "queries", `${name}.scm`), "utf8");
+  return new Parser.Query(Rust, source);
+}
+
+function captures(name, source, captureName) {
+  return query(name)
+    .captures(parse(source).rootNode)
+    .filter((capture) => capture.name === captureName)
+    .map((capture) => capture.node.text);
+}
+
+test("locals: marks parameters, let bindings and closure parameters as definitions", () => {
+  const definitions = captures("locals", `
+fn add<'a, T, const N: usize>(&self, x: i32, (y, z): (i32, i32)) -> i32 {
+    let w = x + y;
+    let Point { a, b: ref c } = p;
+    let f = |u, v: i32| u + v;
+    if let Some(ref mut q) = opt {}
+    for (i, item @ 1..=9) in list {}
+    match opt { Some(m) if flag => m, n if ready => n, _ => 0 }
+    'outer: loop { break 'outer; }
+    w
+}
+`, "local.definition");
+
+  assert.deepStrictEqual(definitions, [
+    "'a", "T", "N", "self", "x", "y", "z", "w", "a", "c", "f", "u", "v", "q", "i", "item", "m", "n", "'outer",
+  ]);
+});
+
+test("locals: scopes let bindings in `if let` and `match` arms", () => {
+  const scopes = query("locals")
+    .captures(parse(`
+fn f() {
+    if let Some(x) = y {}
+    match z { Ok(v) => v, _ => 0 }
+}
+`).rootNode)
+    .filter((capture) => capture.name === "local.scope")
+    .map((capture) => capture.node.type);
+
+  assert.deepStrictEqual(scopes, [
+    "function_item", "block", "if_expression", "block", "match_arm", "match_arm",
+  ]);
+});
+
+test("locals: marks labels in `break` and `continue` as references", () => {
+  const references = captures("locals", "'a: while x { continue 'a; }", "local.reference");
+
+  assert.ok(references.includes("'a"));
+  assert.ok(references.includes("x"));
+});
+
+test("locals: marks inline format arguments as references", () => {
+  const references = captures("locals", 'println!("{width:>8} {0}", 1);', "local.reference");
+
+  assert.deepStrictEqual(references, ["println", "width"]);
+});
+
+test("folds: folds item bodies, match blocks and runs of line comments", () => {
+  const folds = query("folds")
+    .captures(parse(`
+/// One
+/// Two
+impl Foo {
+    fn f() {
+        match x {
+            _ => {}
+        }
+    }
+}
+`).rootNode)
+    .map((capture) => capture.node.type);
+
+  assert.deepStrictEqual([...new Set(folds)], [
+    "line_comment", "declaration_list", "block", "match_block",
+  ]);
+});
+
+// Collapses every capture with the given name in a match into the range
+// spanning its first and last node, formatted as `row:column-row:column`.
+function textObjects(source, captureName) {
+  const ranges = new Set();
+  for (const { captures } of query("textobjects").matches(parse(source).rootNode)) {
+    const nodes = captures.filter((capture) => capture.name === captureName).map((capture) => capture.node);
+    if (nodes.length === 0) continue;
+    const start = nodes[0].startPosition;
+    const end = nodes[nodes.length - 1].endPosition;
+    ranges.add(`${start.row}:${start.column}-${end.row}:${end.column}`);
+  }
+  return [...ranges].sort();
+}
+
+test("textobjects: captures function bodies without their braces", () => {
+  const source = `fn f(a: u8) {
+    let b = a;
+    b
+}
+`;
+  assert.deepStrictEqual(textObjects(source, "function.outer"), ["0:0-3:1"]);
+  assert.deepStrictEqual(textObjects(source, "function.inner"), ["1:4-2:5"]);
+});
+
+test("textobjects: captures functions with an empty body", () => {
+  const source = `fn f() {}
+
+#[test]
+fn t() {}
+`;
+  assert.deepStrictEqual(textObjects(source, "function.outer"), ["0:0-0:9", "3:0-3:9"]);
+  assert.deepStrictEqual(textObjects(source, "function.inner"), []);
+  assert.deepStrictEqual(textObjects(source, "test.outer"), ["3:0-3:9"]);
+  assert.deepStrictEqual(textObjects(source, "test.inner"), []);
+});
+
+test("textobjects: includes the separating comma in outer parameters", () => {
+  const source = "fn f(&self, a: u8, b: u16) {}\n";
+  assert.deepStrictEqual(textObjects(source, "parameter.inner"), ["0:12-0:17", "0:19-0:25", "0:5-0:10"]);
+  assert.deepStrictEqual(textObjects(source, "parameter.outer"), ["0:10-0:17", "0:17-0:25", "0:5-0:11"]);
+});
+
+test("textobjects: captures structs, impls and their members", () => {
+  const source = `struct S {
+    a: u8,
+}
+impl S {}
+`;
+  assert.deepStrictEqual(textObjects(source, "class.outer"), ["0:0-2:1", "3:0-3:9"]);
+  assert.deepStrictEqual(textObjects(source, "class.inner"), ["1:4-1:9"]);
+});
+
+test("textobjects: captures functions annotated with #[test]", () => {
+  const source = `#[test]
+fn works() {
+    assert!(true);
+}
+
+fn helper() {}
+`;
+  assert.deepStrictEqual(textObjects(source, "test.outer"), ["1:0-3:1"]);
+  assert.deepStrictEqual(textObjects(source, "test.inner"), ["2:4-2:18"]);
+});
+
+test("textobjects: captures loops, conditionals and calls", () => {
+  const source = "for x in y { if x { g(x, 1); } }\n";
+  assert.deepStrictEqual(textObjects(source, "loop.outer"), ["0:0-0:32"]);
+  assert.deepStrictEqual(textObjects(source, "conditional.inner"), ["0:20-0:28"]);
+  assert.deepStrictEqual(textObjects(source, "call.inner"), ["0:22-0:26"]);
+});
+
+test("injections: injects doc comments and doc attributes as Markdown", () => {
+  const contents = query("injections")
+    .matches(parse(`
+/// Adds one.
+///
+/// \`\`\`
+/// assert_eq!(add_one(1), 2);
+/// \`\`\`
+#[doc = "More docs."]
+// Not documentation.
+fn add_one(x: i32) -> i32 { x + 1 }
+`).rootNode)
+    .filter((match) => match.setProperties?.["injection.language"] === "markdown")
+    .map((match) => [
+      match.setProperties?.["injection.language"],
+      match.captures.find((capture) => capture.name === "injection.content").node.text,
+    ]);
+
+  // The code block is only part of the Markdown, which injects it in turn.
+  assert.deepStrictEqual(contents, [
+    ["markdown", " Adds one.\n"],
+    ["markdown", "\n"],
+    ["markdown", " ```\n"],
+    ["markdown", " assert_eq!(add_one(1), 2);\n"],
+    ["markdown", " ```\n"],
+    ["markdown", "More docs."],
+  ]);
+});
+
+test("injections: injects the first untagged code block of doc comments as Rust", () => {
+  const contents = query("injections")
+    .matches(parse(`//! \`\`\`
+//! let a = 1;
+//! \`\`\`
+
+/// \`\`\`text
+/// Not Rust.
+/// \`\`\`
+fn f() {}
+
+mod m {
+    /// Adds one.
+    ///
+    /// \`\`\`
+    /// assert_eq!(add_one(1), 2);
+    /// \`\`\`
+    ///
+    /// Could be a code block.
+    ///
+    /// \`\`\`
+    /// add_one(2);
+    /// \`\`\`
+    fn add_one(x: i32) -> i32 { x + 1 }
+}
+`).rootNode)
+    .filter((match) => match.setProperties?.["injection.language"] === "rust")
+    .flatMap((match) => match.captures.filter((capture) => capture.name === "injection.content"))
+    .map((capture) => capture.node.text);
+
+  assert.deepStrictEqual(contents, [" let a = 1;\n", " assert_eq!(add_one(1), 2);\n"]);
+});
+
+test("injections: injects Cargo script frontmatter as TOML", () => {
+  const contents = query("injections")
+    .matches(parse(`---cargo
+[dependencies]
+clap = "4"
+---
+
+fn main() {}
+`).rootNode)
+    .filter((match) => match.setProperties?.["injection.language"] === "toml")
+    .flatMap((match) => match.captures.filter((capture) => capture.name === "injection.content"))
+    .map((capture) => capture.node.text);
+
+  assert.deepStrictEqual(contents, ["[dependencies]\nclap = \"4\"\n"]);
+});
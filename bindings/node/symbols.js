@@ -0,0 +1,123 @@
+// Turns the matches of tags.scm into symbols: the definitions and references
+// in a tree, with their names, ranges, enclosing items and documentation.
+
+// The items a definition can be nested in, which are reported as its
+// container.
+const CONTAINERS = new Set([
+  "impl_item",
+  "trait_item",
+  "struct_item",
+  "enum_item",
+  "union_item",
+  "mod_item",
+  "function_item",
+]);
+
+function rangeOf(node) {
+  return {
+    startIndex: node.startIndex,
+    endIndex: node.endIndex,
+    startPosition: node.startPosition,
+    endPosition: node.endPosition,
+  };
+}
+
+function containerOf(node) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (!CONTAINERS.has(parent.type)) continue;
+    if (parent.type === "impl_item") {
+      const type = parent.childForFieldName("type").text;
+      const trait = parent.childForFieldName("trait");
+      return { kind: parent.type, name: type, type, trait: trait ? trait.text : null };
+    }
+    return { kind: parent.type, name: parent.childForFieldName("name").text };
+  }
+  return null;
+}
+
+function pathOf(node) {
+  const path = [];
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === "mod_item") path.unshift(parent.childForFieldName("name").text);
+  }
+  return path;
+}
+
+function visibilityOf(node) {
+  // An import renamed with `as` takes the visibility of its `use` declaration.
+  while (node.type === "use_as_clause" || node.type === "scoped_use_list" || node.type === "use_list") {
+    node = node.parent;
+  }
+  const modifier = node.children.find((child) => child.type === "visibility_modifier");
+  return modifier ? modifier.text : null;
+}
+
+// Applies the `#strip!` directive of tags.scm, which not every `Query`
+// implementation supports, to each line of a doc comment.
+function docOf(nodes) {
+  if (nodes.length === 0) return null;
+  return nodes.map((node) => node.text.replace(/^\/\/\/\s?|\s+$/g, "")).join("\n");
+}
+
+// The last row of a node, which for a line comment is before its newline.
+function lastRowOf(node) {
+  const { row, column } = node.endPosition;
+  return column === 0 && row > node.startPosition.row ? row - 1 : row;
+}
+
+// Applies the `#select-adjacent!` directive of tags.scm, keeping the doc
+// comments on the consecutive rows directly above a definition, or above the
+// attributes in front of it.
+function adjacentDocs(docs, node) {
+  let row = node.startPosition.row;
+  for (let sibling = node.previousNamedSibling; sibling?.type === "attribute_item"; sibling = sibling.previousNamedSibling) {
+    row = sibling.startPosition.row;
+  }
+  let start = docs.length;
+  while (start > 0 && lastRowOf(docs[start - 1]) + 1 === row) {
+    row = docs[--start].startPosition.row;
+  }
+  return docs.slice(start);
+}
+
+function extractSymbols(tree, query) {
+  // A node can match several patterns, e.g. a method also matches the pattern
+  // for functions, and a pattern can match with fewer of the doc comments
+  // above a definition. Like tree-sitter-tags, keep the first pattern, with
+  // the most doc comments.
+  const matches = new Map();
+  for (const match of query.matches(tree.rootNode)) {
+    const pattern = match.patternIndex ?? match.pattern;
+    let role, kind, node, name;
+    let docs = [];
+    for (const capture of match.captures) {
+      if (capture.name === "name") name = capture.node;
+      else if (capture.name === "doc") docs.push(capture.node);
+      else if (capture.name.includes(".")) [role, kind, node] = [...capture.name.split("."), capture.node];
+    }
+    if (!node || !name) continue;
+    docs = adjacentDocs(docs, node);
+
+    const previous = matches.get(node.id);
+    if (previous && (previous.pattern < pattern || (previous.pattern === pattern && previous.docs.length >= docs.length))) {
+      continue;
+    }
+    matches.set(node.id, { pattern, role, kind, node, name, docs });
+  }
+
+  return [...matches.values()]
+    .sort((a, b) => a.node.startIndex - b.node.startIndex || a.name.startIndex - b.name.startIndex)
+    .map(({ role, kind, node, name, docs }) => ({
+      kind,
+      isDefinition: role === "definition",
+      name: name.text,
+      range: rangeOf(node),
+      nameRange: rangeOf(name),
+      container: containerOf(node),
+      path: pathOf(node),
+      visibility: role === "definition" ? visibilityOf(node) : null,
+      doc: docOf(docs),
+    }));
+}
+
+module.exports = { extractSymbols };
@@ -0,0 +1,104 @@
+const assert = require("node:assert");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const Rust = require(".");
+
+const source = `mod shapes {
+    /// A point.
+    ///
+    /// In two dimensions.
+    #[derive(Debug)]
+    pub struct Point {
+        /// The x coordinate.
+        pub x: f64,
+        y: f64,
+    }
+
+    impl Point {
+        /// Creates a point.
+        pub(crate) fn new(x: f64, y: f64) -> Self {
+            helper();
+            Point { x, y }
+        }
+    }
+
+    impl std::fmt::Display for Point {
+        fn fmt(&self, f: &mut Formatter) -> Result {
+            write!(f, "{}", self.x)
+        }
+    }
+
+    pub trait Shape {
+        fn area(&self) -> f64;
+    }
+}
+`;
+
+test("symbols: extracts definitions and references with their containers", () => {
+  const symbols = Rust.extractSymbols(source).map((symbol) => [
+    symbol.isDefinition ? "definition" : "reference",
+    symbol.kind,
+    symbol.name,
+    symbol.container && symbol.container.name,
+  ]);
+
+  assert.deepStrictEqual(symbols, [
+    ["definition", "module", "shapes", null],
+    ["definition", "class", "Point", "shapes"],
+    ["definition", "field", "x", "Point"],
+    ["definition", "field", "y", "Point"],
+    ["reference", "implementation", "Point", "shapes"],
+    ["definition", "method", "new", "Point"],
+    ["reference", "call", "helper", "new"],
+    ["reference", "implementation", "Display", "shapes"],
+    ["definition", "method", "fmt", "Point"],
+    ["reference", "call", "write", "fmt"],
+    ["definition", "interface", "Shape", "shapes"],
+    ["definition", "method", "area", "Shape"],
+  ]);
+});
+
+test("symbols: reports ranges, visibility, module paths and doc comments", () => {
+  const parser = new Parser();
+  parser.setLanguage(Rust);
+  const symbols = Rust.extractSymbols(parser.parse(source));
+
+  const point = symbols.find((symbol) => symbol.name === "Point" && symbol.isDefinition);
+  assert.deepStrictEqual(point.nameRange.startPosition, { row: 5, column: 15 });
+  assert.strictEqual(point.range.startPosition.row, 5);
+  assert.deepStrictEqual(point.path, ["shapes"]);
+  assert.strictEqual(point.visibility, "pub");
+  assert.strictEqual(point.doc, "A point.\n\nIn two dimensions.");
+
+  const fmt = symbols.find((symbol) => symbol.name === "fmt");
+  assert.deepStrictEqual(fmt.container, {
+    kind: "impl_item", name: "Point", type: "Point", trait: "std::fmt::Display",
+  });
+  assert.strictEqual(fmt.visibility, null);
+  assert.strictEqual(fmt.doc, null);
+
+  const method = symbols.find((symbol) => symbol.name === "new");
+  assert.strictEqual(method.visibility, "pub(crate)");
+  assert.strictEqual(method.doc, "Creates a point.");
+});
+
+test("symbols: gives each of two adjacent items its own doc comment", () => {
+  const symbols = Rust.extractSymbols("/// A\nstruct A;\n/// B\nstruct B;\n");
+
+  assert.deepStrictEqual(symbols.map((symbol) => [symbol.name, symbol.doc]), [["A", "A"], ["B", "B"]]);
+});
+
+test("symbols: leaves out doc comments that aren't directly above a definition", () => {
+  const symbols = Rust.extractSymbols(`/// A
+struct A;
+/// Detached.
+
+/// Attached.
+#[inline]
+#[must_use]
+fn f() {}
+`);
+
+  assert.deepStrictEqual(symbols.map((symbol) => [symbol.name, symbol.doc]), [["A", "A"], ["f", "Attached."]]);
+});
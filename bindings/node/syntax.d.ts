@@ -0,0 +1,1739 @@
+// This file is generated by script/generate-typings.js from src/node-types.json.
+// Do not edit it by hand.
+
+import type { NodeLike } from "./lsp";
+
+/** The parts of a syntax node that nodes of `tree-sitter` and `web-tree-sitter` have. */
+export interface SyntaxNode extends NodeLike {
+  readonly id: number;
+  readonly typeId: number;
+  readonly grammarType: string;
+  readonly isMissing: boolean;
+  readonly isExtra: boolean;
+  readonly isError: boolean;
+  readonly hasError: boolean;
+  readonly hasChanges: boolean;
+  readonly startIndex: number;
+  readonly endIndex: number;
+  readonly parent: SyntaxNode | null;
+  readonly children: readonly (SyntaxNode | null)[];
+  readonly namedChildren: readonly (SyntaxNode | null)[];
+  readonly childCount: number;
+  readonly namedChildCount: number;
+  readonly firstChild: SyntaxNode | null;
+  readonly lastChild: SyntaxNode | null;
+  readonly firstNamedChild: SyntaxNode | null;
+  readonly lastNamedChild: SyntaxNode | null;
+  readonly nextSibling: SyntaxNode | null;
+  readonly previousSibling: SyntaxNode | null;
+  readonly nextNamedSibling: SyntaxNode | null;
+  readonly previousNamedSibling: SyntaxNode | null;
+  child(index: number): SyntaxNode | null;
+  namedChild(index: number): SyntaxNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+  childrenForFieldName(fieldName: string): readonly (SyntaxNode | null)[];
+  descendantForPosition(position: { row: number; column: number }): SyntaxNode | null;
+  toString(): string;
+}
+
+/** An anonymous node, such as a keyword or a punctuation token. */
+export interface UnnamedNode<T extends string = string> extends SyntaxNode {
+  readonly type: T;
+  readonly isNamed: false;
+}
+
+/** A node in the `_declaration_statement` supertype. */
+export type DeclarationStatementNode = AssociatedTypeNode | AttributeItemNode | ConstItemNode | DeclMacroDefinitionNode | EmptyStatementNode | EnumItemNode | ExternCrateDeclarationNode | ForeignModItemNode | FunctionItemNode | FunctionSignatureItemNode | ImplItemNode | InnerAttributeItemNode | LetDeclarationNode | MacroDefinitionNode | MacroInvocationNode | ModItemNode | StaticItemNode | StructItemNode | TraitAliasItemNode | TraitItemNode | TypeItemNode | UnionItemNode | UseDeclarationNode;
+
+/** A node in the `_expression` supertype. */
+export type ExpressionNode = ArrayExpressionNode | AssignmentExpressionNode | AsyncBlockNode | AwaitExpressionNode | BecomeExpressionNode | BinaryExpressionNode | BlockNode | BreakExpressionNode | CallExpressionNode | ClosureExpressionNode | CompoundAssignmentExprNode | ConstBlockNode | ContinueExpressionNode | FieldExpressionNode | ForExpressionNode | GenBlockNode | GenericFunctionNode | IdentifierNode | IfExpressionNode | IndexExpressionNode | LiteralNode | LoopExpressionNode | MacroInvocationNode | MatchExpressionNode | MetavariableNode | ParenthesizedExpressionNode | RangeExpressionNode | ReferenceExpressionNode | ReturnExpressionNode | ScopedIdentifierNode | SelfNode | StructExpressionNode | TryBlockNode | TryExpressionNode | TupleExpressionNode | TypeCastExpressionNode | UnaryExpressionNode | UnitExpressionNode | UnsafeBlockNode | WhileExpressionNode | YeetExpressionNode | YieldExpressionNode;
+
+/** A node in the `_literal` supertype. */
+export type LiteralNode = BooleanLiteralNode | CharLiteralNode | FloatLiteralNode | IntegerLiteralNode | RawStringLiteralNode | StringLiteralNode;
+
+/** A node in the `_literal_pattern` supertype. */
+export type LiteralPatternNode = BooleanLiteralNode | CharLiteralNode | FloatLiteralNode | IntegerLiteralNode | NegativeLiteralNode | RawStringLiteralNode | StringLiteralNode;
+
+/** A node in the `_pattern` supertype. */
+export type PatternNode = BoxPatternNode | CapturedPatternNode | ConstBlockNode | DerefPatternNode | GenericPatternNode | IdentifierNode | LiteralPatternNode | MacroInvocationNode | MutPatternNode | NeverPatternNode | OrPatternNode | RangePatternNode | RefPatternNode | ReferencePatternNode | RemainingFieldPatternNode | ScopedIdentifierNode | SlicePatternNode | StructPatternNode | TuplePatternNode | TupleStructPatternNode | UnnamedNode<"_">;
+
+/** A node in the `_type` supertype. */
+export type TypeNode = AbstractTypeNode | ArrayTypeNode | BoundedTypeNode | ConstTraitBoundNode | DynamicTypeNode | FunctionTypeNode | GenericTypeNode | MacroInvocationNode | MetavariableNode | NeverTypeNode | PointerTypeNode | PrimitiveTypeNode | ReferenceTypeNode | RemovedTraitBoundNode | ScopedTypeIdentifierNode | TupleTypeNode | TypeIdentifierNode | UnitTypeNode;
+
+export interface AbstractTypeNode extends SyntaxNode {
+  readonly type: "abstract_type";
+  readonly isNamed: true;
+  readonly traitNode: BoundedTypeNode | FunctionTypeNode | GenericTypeNode | RemovedTraitBoundNode | ScopedTypeIdentifierNode | TupleTypeNode | TypeIdentifierNode;
+  childForFieldName(fieldName: "trait"): BoundedTypeNode | FunctionTypeNode | GenericTypeNode | RemovedTraitBoundNode | ScopedTypeIdentifierNode | TupleTypeNode | TypeIdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ArgumentsNode extends SyntaxNode {
+  readonly type: "arguments";
+  readonly isNamed: true;
+}
+
+export interface ArrayExpressionNode extends SyntaxNode {
+  readonly type: "array_expression";
+  readonly isNamed: true;
+  readonly lengthNode: ExpressionNode | null;
+  childForFieldName(fieldName: "length"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ArrayTypeNode extends SyntaxNode {
+  readonly type: "array_type";
+  readonly isNamed: true;
+  readonly elementNode: TypeNode;
+  readonly lengthNode: ExpressionNode | null;
+  childForFieldName(fieldName: "element"): TypeNode;
+  childForFieldName(fieldName: "length"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface AssignmentExpressionNode extends SyntaxNode {
+  readonly type: "assignment_expression";
+  readonly isNamed: true;
+  readonly leftNode: ExpressionNode;
+  readonly rightNode: ExpressionNode;
+  childForFieldName(fieldName: "left"): ExpressionNode;
+  childForFieldName(fieldName: "right"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface AssociatedTypeNode extends SyntaxNode {
+  readonly type: "associated_type";
+  readonly isNamed: true;
+  readonly boundsNode: TraitBoundsNode | null;
+  readonly defaultTypeNode: TypeNode | null;
+  readonly nameNode: TypeIdentifierNode;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "bounds"): TraitBoundsNode | null;
+  childForFieldName(fieldName: "default_type"): TypeNode | null;
+  childForFieldName(fieldName: "name"): TypeIdentifierNode;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface AsyncBlockNode extends SyntaxNode {
+  readonly type: "async_block";
+  readonly isNamed: true;
+  readonly bodyNode: BlockNode;
+  childForFieldName(fieldName: "body"): BlockNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface AttributeNode extends SyntaxNode {
+  readonly type: "attribute";
+  readonly isNamed: true;
+  readonly argumentsNode: MetaArgumentsNode | TokenTreeNode | null;
+  readonly valueNode: ExpressionNode | null;
+  childForFieldName(fieldName: "arguments"): MetaArgumentsNode | TokenTreeNode | null;
+  childForFieldName(fieldName: "value"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface AttributeItemNode extends SyntaxNode {
+  readonly type: "attribute_item";
+  readonly isNamed: true;
+}
+
+export interface AwaitExpressionNode extends SyntaxNode {
+  readonly type: "await_expression";
+  readonly isNamed: true;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface BaseFieldInitializerNode extends SyntaxNode {
+  readonly type: "base_field_initializer";
+  readonly isNamed: true;
+}
+
+export interface BecomeExpressionNode extends SyntaxNode {
+  readonly type: "become_expression";
+  readonly isNamed: true;
+}
+
+export interface BinaryExpressionNode extends SyntaxNode {
+  readonly type: "binary_expression";
+  readonly isNamed: true;
+  readonly leftNode: ExpressionNode;
+  readonly operatorNode: UnnamedNode<"!=" | "%" | "&" | "&&" | "*" | "+" | "-" | "/" | "<" | "<<" | "<=" | "==" | ">" | ">=" | ">>" | "^" | "|" | "||">;
+  readonly rightNode: ExpressionNode;
+  childForFieldName(fieldName: "left"): ExpressionNode;
+  childForFieldName(fieldName: "operator"): UnnamedNode<"!=" | "%" | "&" | "&&" | "*" | "+" | "-" | "/" | "<" | "<<" | "<=" | "==" | ">" | ">=" | ">>" | "^" | "|" | "||">;
+  childForFieldName(fieldName: "right"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface BlockNode extends SyntaxNode {
+  readonly type: "block";
+  readonly isNamed: true;
+  readonly tailNode: ExpressionNode | null;
+  childForFieldName(fieldName: "tail"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface BlockCommentNode extends SyntaxNode {
+  readonly type: "block_comment";
+  readonly isNamed: true;
+  readonly docNode: DocCommentNode | null;
+  readonly innerNode: InnerDocCommentMarkerNode | null;
+  readonly outerNode: OuterDocCommentMarkerNode | null;
+  childForFieldName(fieldName: "doc"): DocCommentNode | null;
+  childForFieldName(fieldName: "inner"): InnerDocCommentMarkerNode | null;
+  childForFieldName(fieldName: "outer"): OuterDocCommentMarkerNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface BooleanLiteralNode extends SyntaxNode {
+  readonly type: "boolean_literal";
+  readonly isNamed: true;
+}
+
+export interface BoundedTypeNode extends SyntaxNode {
+  readonly type: "bounded_type";
+  readonly isNamed: true;
+}
+
+export interface BoxPatternNode extends SyntaxNode {
+  readonly type: "box_pattern";
+  readonly isNamed: true;
+  readonly patternNode: PatternNode;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface BracketedTypeNode extends SyntaxNode {
+  readonly type: "bracketed_type";
+  readonly isNamed: true;
+}
+
+export interface BreakExpressionNode extends SyntaxNode {
+  readonly type: "break_expression";
+  readonly isNamed: true;
+  readonly valueNode: ExpressionNode | null;
+  childForFieldName(fieldName: "value"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface CallExpressionNode extends SyntaxNode {
+  readonly type: "call_expression";
+  readonly isNamed: true;
+  readonly argumentsNode: ArgumentsNode;
+  readonly functionNode: ArrayExpressionNode | AssignmentExpressionNode | AsyncBlockNode | AwaitExpressionNode | BecomeExpressionNode | BinaryExpressionNode | BlockNode | BreakExpressionNode | CallExpressionNode | ClosureExpressionNode | CompoundAssignmentExprNode | ConstBlockNode | ContinueExpressionNode | FieldExpressionNode | ForExpressionNode | GenBlockNode | GenericFunctionNode | IdentifierNode | IfExpressionNode | IndexExpressionNode | LiteralNode | LoopExpressionNode | MacroInvocationNode | MatchExpressionNode | MetavariableNode | ParenthesizedExpressionNode | ReferenceExpressionNode | ReturnExpressionNode | ScopedIdentifierNode | SelfNode | StructExpressionNode | TryBlockNode | TryExpressionNode | TupleExpressionNode | TypeCastExpressionNode | UnaryExpressionNode | UnitExpressionNode | UnsafeBlockNode | WhileExpressionNode | YeetExpressionNode | YieldExpressionNode;
+  childForFieldName(fieldName: "arguments"): ArgumentsNode;
+  childForFieldName(fieldName: "function"): ArrayExpressionNode | AssignmentExpressionNode | AsyncBlockNode | AwaitExpressionNode | BecomeExpressionNode | BinaryExpressionNode | BlockNode | BreakExpressionNode | CallExpressionNode | ClosureExpressionNode | CompoundAssignmentExprNode | ConstBlockNode | ContinueExpressionNode | FieldExpressionNode | ForExpressionNode | GenBlockNode | GenericFunctionNode | IdentifierNode | IfExpressionNode | IndexExpressionNode | LiteralNode | LoopExpressionNode | MacroInvocationNode | MatchExpressionNode | MetavariableNode | ParenthesizedExpressionNode | ReferenceExpressionNode | ReturnExpressionNode | ScopedIdentifierNode | SelfNode | StructExpressionNode | TryBlockNode | TryExpressionNode | TupleExpressionNode | TypeCastExpressionNode | UnaryExpressionNode | UnitExpressionNode | UnsafeBlockNode | WhileExpressionNode | YeetExpressionNode | YieldExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface CapturedPatternNode extends SyntaxNode {
+  readonly type: "captured_pattern";
+  readonly isNamed: true;
+  readonly nameNode: IdentifierNode;
+  readonly patternNode: PatternNode;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface CharLiteralNode extends SyntaxNode {
+  readonly type: "char_literal";
+  readonly isNamed: true;
+  readonly prefixNode: LiteralPrefixNode | null;
+  childForFieldName(fieldName: "prefix"): LiteralPrefixNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ClosureExpressionNode extends SyntaxNode {
+  readonly type: "closure_expression";
+  readonly isNamed: true;
+  readonly binderNode: ForLifetimesNode | null;
+  readonly bodyNode: ExpressionNode | UnnamedNode<"_">;
+  readonly parametersNode: ClosureParametersNode;
+  readonly returnTypeNode: TypeNode | null;
+  childForFieldName(fieldName: "binder"): ForLifetimesNode | null;
+  childForFieldName(fieldName: "body"): ExpressionNode | UnnamedNode<"_">;
+  childForFieldName(fieldName: "parameters"): ClosureParametersNode;
+  childForFieldName(fieldName: "return_type"): TypeNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ClosureParametersNode extends SyntaxNode {
+  readonly type: "closure_parameters";
+  readonly isNamed: true;
+}
+
+export interface CompoundAssignmentExprNode extends SyntaxNode {
+  readonly type: "compound_assignment_expr";
+  readonly isNamed: true;
+  readonly leftNode: ExpressionNode;
+  readonly operatorNode: UnnamedNode<"%=" | "&=" | "*=" | "+=" | "-=" | "/=" | "<<=" | ">>=" | "^=" | "|=">;
+  readonly rightNode: ExpressionNode;
+  childForFieldName(fieldName: "left"): ExpressionNode;
+  childForFieldName(fieldName: "operator"): UnnamedNode<"%=" | "&=" | "*=" | "+=" | "-=" | "/=" | "<<=" | ">>=" | "^=" | "|=">;
+  childForFieldName(fieldName: "right"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ConstBlockNode extends SyntaxNode {
+  readonly type: "const_block";
+  readonly isNamed: true;
+  readonly bodyNode: BlockNode;
+  childForFieldName(fieldName: "body"): BlockNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ConstItemNode extends SyntaxNode {
+  readonly type: "const_item";
+  readonly isNamed: true;
+  readonly nameNode: IdentifierNode;
+  readonly typeNode: TypeNode;
+  readonly valueNode: ExpressionNode | null;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: "value"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ConstParameterNode extends SyntaxNode {
+  readonly type: "const_parameter";
+  readonly isNamed: true;
+  readonly nameNode: IdentifierNode;
+  readonly typeNode: TypeNode;
+  readonly valueNode: BlockNode | IdentifierNode | LiteralNode | NegativeLiteralNode | null;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: "value"): BlockNode | IdentifierNode | LiteralNode | NegativeLiteralNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ConstTraitBoundNode extends SyntaxNode {
+  readonly type: "const_trait_bound";
+  readonly isNamed: true;
+}
+
+export interface ContinueExpressionNode extends SyntaxNode {
+  readonly type: "continue_expression";
+  readonly isNamed: true;
+}
+
+export interface DeclMacroDefinitionNode extends SyntaxNode {
+  readonly type: "decl_macro_definition";
+  readonly isNamed: true;
+  readonly bodyNode: TokenTreeNode | null;
+  readonly nameNode: IdentifierNode;
+  readonly parametersNodes: Array<TokenTreePatternNode>;
+  childForFieldName(fieldName: "body"): TokenTreeNode | null;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+  childrenForFieldName(fieldName: "parameters"): Array<TokenTreePatternNode>;
+  childrenForFieldName(fieldName: string): Array<SyntaxNode>;
+}
+
+export interface DeclarationListNode extends SyntaxNode {
+  readonly type: "declaration_list";
+  readonly isNamed: true;
+}
+
+export interface DefaultFieldInitializerNode extends SyntaxNode {
+  readonly type: "default_field_initializer";
+  readonly isNamed: true;
+}
+
+export interface DerefPatternNode extends SyntaxNode {
+  readonly type: "deref_pattern";
+  readonly isNamed: true;
+  readonly patternNode: PatternNode;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface DynamicTypeNode extends SyntaxNode {
+  readonly type: "dynamic_type";
+  readonly isNamed: true;
+  readonly traitNode: FunctionTypeNode | GenericTypeNode | HigherRankedTraitBoundNode | ScopedTypeIdentifierNode | TupleTypeNode | TypeIdentifierNode;
+  childForFieldName(fieldName: "trait"): FunctionTypeNode | GenericTypeNode | HigherRankedTraitBoundNode | ScopedTypeIdentifierNode | TupleTypeNode | TypeIdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ElseClauseNode extends SyntaxNode {
+  readonly type: "else_clause";
+  readonly isNamed: true;
+}
+
+export interface EmptyStatementNode extends SyntaxNode {
+  readonly type: "empty_statement";
+  readonly isNamed: true;
+}
+
+export interface EnumItemNode extends SyntaxNode {
+  readonly type: "enum_item";
+  readonly isNamed: true;
+  readonly bodyNode: EnumVariantListNode;
+  readonly nameNode: TypeIdentifierNode;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "body"): EnumVariantListNode;
+  childForFieldName(fieldName: "name"): TypeIdentifierNode;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface EnumVariantNode extends SyntaxNode {
+  readonly type: "enum_variant";
+  readonly isNamed: true;
+  readonly bodyNode: FieldDeclarationListNode | OrderedFieldDeclarationListNode | null;
+  readonly nameNode: IdentifierNode;
+  readonly valueNode: ExpressionNode | null;
+  childForFieldName(fieldName: "body"): FieldDeclarationListNode | OrderedFieldDeclarationListNode | null;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: "value"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface EnumVariantListNode extends SyntaxNode {
+  readonly type: "enum_variant_list";
+  readonly isNamed: true;
+}
+
+export interface ExpressionStatementNode extends SyntaxNode {
+  readonly type: "expression_statement";
+  readonly isNamed: true;
+}
+
+export interface ExternCrateDeclarationNode extends SyntaxNode {
+  readonly type: "extern_crate_declaration";
+  readonly isNamed: true;
+  readonly aliasNode: IdentifierNode | null;
+  readonly nameNode: IdentifierNode;
+  childForFieldName(fieldName: "alias"): IdentifierNode | null;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ExternModifierNode extends SyntaxNode {
+  readonly type: "extern_modifier";
+  readonly isNamed: true;
+}
+
+export interface FieldDeclarationNode extends SyntaxNode {
+  readonly type: "field_declaration";
+  readonly isNamed: true;
+  readonly defaultValueNode: ExpressionNode | null;
+  readonly nameNode: FieldIdentifierNode;
+  readonly typeNode: TypeNode;
+  childForFieldName(fieldName: "default_value"): ExpressionNode | null;
+  childForFieldName(fieldName: "name"): FieldIdentifierNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FieldDeclarationListNode extends SyntaxNode {
+  readonly type: "field_declaration_list";
+  readonly isNamed: true;
+}
+
+export interface FieldExpressionNode extends SyntaxNode {
+  readonly type: "field_expression";
+  readonly isNamed: true;
+  readonly fieldNode: FieldIdentifierNode | IntegerLiteralNode;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "field"): FieldIdentifierNode | IntegerLiteralNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FieldInitializerNode extends SyntaxNode {
+  readonly type: "field_initializer";
+  readonly isNamed: true;
+  readonly fieldNode: FieldIdentifierNode | IntegerLiteralNode;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "field"): FieldIdentifierNode | IntegerLiteralNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FieldInitializerListNode extends SyntaxNode {
+  readonly type: "field_initializer_list";
+  readonly isNamed: true;
+}
+
+export interface FieldPatternNode extends SyntaxNode {
+  readonly type: "field_pattern";
+  readonly isNamed: true;
+  readonly nameNode: FieldIdentifierNode | ShorthandFieldIdentifierNode;
+  readonly patternNode: PatternNode | null;
+  childForFieldName(fieldName: "name"): FieldIdentifierNode | ShorthandFieldIdentifierNode;
+  childForFieldName(fieldName: "pattern"): PatternNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FloatLiteralNode extends SyntaxNode {
+  readonly type: "float_literal";
+  readonly isNamed: true;
+  readonly suffixNode: LiteralSuffixNode | null;
+  childForFieldName(fieldName: "suffix"): LiteralSuffixNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ForExpressionNode extends SyntaxNode {
+  readonly type: "for_expression";
+  readonly isNamed: true;
+  readonly bodyNode: BlockNode;
+  readonly patternNode: PatternNode;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "body"): BlockNode;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ForLifetimesNode extends SyntaxNode {
+  readonly type: "for_lifetimes";
+  readonly isNamed: true;
+}
+
+export interface ForeignModItemNode extends SyntaxNode {
+  readonly type: "foreign_mod_item";
+  readonly isNamed: true;
+  readonly bodyNode: DeclarationListNode | null;
+  childForFieldName(fieldName: "body"): DeclarationListNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FormatArgumentsNode extends SyntaxNode {
+  readonly type: "format_arguments";
+  readonly isNamed: true;
+  readonly formatNode: FormatStringNode | null;
+  childForFieldName(fieldName: "format"): FormatStringNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FormatNamedArgumentNode extends SyntaxNode {
+  readonly type: "format_named_argument";
+  readonly isNamed: true;
+  readonly nameNode: IdentifierNode;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FormatPlaceholderNode extends SyntaxNode {
+  readonly type: "format_placeholder";
+  readonly isNamed: true;
+  readonly argumentNode: IdentifierNode | IntegerLiteralNode | null;
+  readonly formatSpecNode: FormatSpecNode | null;
+  childForFieldName(fieldName: "argument"): IdentifierNode | IntegerLiteralNode | null;
+  childForFieldName(fieldName: "format_spec"): FormatSpecNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FormatStringNode extends SyntaxNode {
+  readonly type: "format_string";
+  readonly isNamed: true;
+}
+
+export interface FragmentSpecifierNode extends SyntaxNode {
+  readonly type: "fragment_specifier";
+  readonly isNamed: true;
+}
+
+export interface FrontmatterNode extends SyntaxNode {
+  readonly type: "frontmatter";
+  readonly isNamed: true;
+  readonly contentNode: FrontmatterContentNode | null;
+  readonly infostringNode: FrontmatterInfostringNode | null;
+  childForFieldName(fieldName: "content"): FrontmatterContentNode | null;
+  childForFieldName(fieldName: "infostring"): FrontmatterInfostringNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FunctionItemNode extends SyntaxNode {
+  readonly type: "function_item";
+  readonly isNamed: true;
+  readonly bodyNode: BlockNode;
+  readonly nameNode: IdentifierNode | MetavariableNode;
+  readonly parametersNode: ParametersNode;
+  readonly returnTypeNode: TypeNode | null;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "body"): BlockNode;
+  childForFieldName(fieldName: "name"): IdentifierNode | MetavariableNode;
+  childForFieldName(fieldName: "parameters"): ParametersNode;
+  childForFieldName(fieldName: "return_type"): TypeNode | null;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FunctionModifiersNode extends SyntaxNode {
+  readonly type: "function_modifiers";
+  readonly isNamed: true;
+}
+
+export interface FunctionSignatureItemNode extends SyntaxNode {
+  readonly type: "function_signature_item";
+  readonly isNamed: true;
+  readonly nameNode: IdentifierNode | MetavariableNode;
+  readonly parametersNode: ParametersNode;
+  readonly returnTypeNode: TypeNode | null;
+  readonly safetyNode: UnnamedNode<"safe" | "unsafe"> | null;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "name"): IdentifierNode | MetavariableNode;
+  childForFieldName(fieldName: "parameters"): ParametersNode;
+  childForFieldName(fieldName: "return_type"): TypeNode | null;
+  childForFieldName(fieldName: "safety"): UnnamedNode<"safe" | "unsafe"> | null;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface FunctionTypeNode extends SyntaxNode {
+  readonly type: "function_type";
+  readonly isNamed: true;
+  readonly parametersNode: ParametersNode;
+  readonly returnTypeNode: TypeNode | null;
+  readonly traitNode: ScopedTypeIdentifierNode | TypeIdentifierNode | null;
+  childForFieldName(fieldName: "parameters"): ParametersNode;
+  childForFieldName(fieldName: "return_type"): TypeNode | null;
+  childForFieldName(fieldName: "trait"): ScopedTypeIdentifierNode | TypeIdentifierNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface GenBlockNode extends SyntaxNode {
+  readonly type: "gen_block";
+  readonly isNamed: true;
+  readonly bodyNode: BlockNode;
+  childForFieldName(fieldName: "body"): BlockNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface GenericFunctionNode extends SyntaxNode {
+  readonly type: "generic_function";
+  readonly isNamed: true;
+  readonly functionNode: FieldExpressionNode | IdentifierNode | ScopedIdentifierNode;
+  readonly typeArgumentsNode: TypeArgumentsNode;
+  childForFieldName(fieldName: "function"): FieldExpressionNode | IdentifierNode | ScopedIdentifierNode;
+  childForFieldName(fieldName: "type_arguments"): TypeArgumentsNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface GenericPatternNode extends SyntaxNode {
+  readonly type: "generic_pattern";
+  readonly isNamed: true;
+  readonly typeArgumentsNode: TypeArgumentsNode;
+  childForFieldName(fieldName: "type_arguments"): TypeArgumentsNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface GenericTypeNode extends SyntaxNode {
+  readonly type: "generic_type";
+  readonly isNamed: true;
+  readonly typeNode: IdentifierNode | ScopedIdentifierNode | ScopedTypeIdentifierNode | TypeIdentifierNode;
+  readonly typeArgumentsNode: TypeArgumentsNode;
+  childForFieldName(fieldName: "type"): IdentifierNode | ScopedIdentifierNode | ScopedTypeIdentifierNode | TypeIdentifierNode;
+  childForFieldName(fieldName: "type_arguments"): TypeArgumentsNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface GenericTypeWithTurbofishNode extends SyntaxNode {
+  readonly type: "generic_type_with_turbofish";
+  readonly isNamed: true;
+  readonly typeNode: ScopedIdentifierNode | TypeIdentifierNode;
+  readonly typeArgumentsNode: TypeArgumentsNode;
+  childForFieldName(fieldName: "type"): ScopedIdentifierNode | TypeIdentifierNode;
+  childForFieldName(fieldName: "type_arguments"): TypeArgumentsNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface GuardPatternNode extends SyntaxNode {
+  readonly type: "guard_pattern";
+  readonly isNamed: true;
+  readonly conditionNode: ExpressionNode | LetChainNode | LetConditionNode;
+  readonly patternNode: PatternNode;
+  childForFieldName(fieldName: "condition"): ExpressionNode | LetChainNode | LetConditionNode;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface HigherRankedTraitBoundNode extends SyntaxNode {
+  readonly type: "higher_ranked_trait_bound";
+  readonly isNamed: true;
+  readonly typeNode: TypeNode;
+  readonly typeParametersNode: TypeParametersNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface IfExpressionNode extends SyntaxNode {
+  readonly type: "if_expression";
+  readonly isNamed: true;
+  readonly alternativeNode: ElseClauseNode | null;
+  readonly conditionNode: ExpressionNode | LetChainNode | LetConditionNode;
+  readonly consequenceNode: BlockNode;
+  childForFieldName(fieldName: "alternative"): ElseClauseNode | null;
+  childForFieldName(fieldName: "condition"): ExpressionNode | LetChainNode | LetConditionNode;
+  childForFieldName(fieldName: "consequence"): BlockNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ImplItemNode extends SyntaxNode {
+  readonly type: "impl_item";
+  readonly isNamed: true;
+  readonly bodyNode: DeclarationListNode | null;
+  readonly traitNode: GenericTypeNode | ScopedTypeIdentifierNode | TypeIdentifierNode | null;
+  readonly typeNode: TypeNode;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "body"): DeclarationListNode | null;
+  childForFieldName(fieldName: "trait"): GenericTypeNode | ScopedTypeIdentifierNode | TypeIdentifierNode | null;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface IndexExpressionNode extends SyntaxNode {
+  readonly type: "index_expression";
+  readonly isNamed: true;
+  readonly indexNode: ExpressionNode;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "index"): ExpressionNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface InnerAttributeItemNode extends SyntaxNode {
+  readonly type: "inner_attribute_item";
+  readonly isNamed: true;
+}
+
+export interface InnerDocCommentMarkerNode extends SyntaxNode {
+  readonly type: "inner_doc_comment_marker";
+  readonly isNamed: true;
+}
+
+export interface IntegerLiteralNode extends SyntaxNode {
+  readonly type: "integer_literal";
+  readonly isNamed: true;
+  readonly suffixNode: LiteralSuffixNode | null;
+  childForFieldName(fieldName: "suffix"): LiteralSuffixNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface LabelNode extends SyntaxNode {
+  readonly type: "label";
+  readonly isNamed: true;
+}
+
+export interface LetChainNode extends SyntaxNode {
+  readonly type: "let_chain";
+  readonly isNamed: true;
+}
+
+export interface LetConditionNode extends SyntaxNode {
+  readonly type: "let_condition";
+  readonly isNamed: true;
+  readonly patternNode: PatternNode;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface LetDeclarationNode extends SyntaxNode {
+  readonly type: "let_declaration";
+  readonly isNamed: true;
+  readonly alternativeNode: BlockNode | null;
+  readonly patternNode: PatternNode;
+  readonly typeNode: TypeNode | null;
+  readonly valueNode: ExpressionNode | null;
+  childForFieldName(fieldName: "alternative"): BlockNode | null;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: "type"): TypeNode | null;
+  childForFieldName(fieldName: "value"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface LifetimeNode extends SyntaxNode {
+  readonly type: "lifetime";
+  readonly isNamed: true;
+}
+
+export interface LifetimeParameterNode extends SyntaxNode {
+  readonly type: "lifetime_parameter";
+  readonly isNamed: true;
+  readonly boundsNode: TraitBoundsNode | null;
+  readonly nameNode: LifetimeNode;
+  childForFieldName(fieldName: "bounds"): TraitBoundsNode | null;
+  childForFieldName(fieldName: "name"): LifetimeNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface LineCommentNode extends SyntaxNode {
+  readonly type: "line_comment";
+  readonly isNamed: true;
+  readonly docNode: DocCommentNode | null;
+  readonly innerNode: InnerDocCommentMarkerNode | null;
+  readonly outerNode: OuterDocCommentMarkerNode | null;
+  childForFieldName(fieldName: "doc"): DocCommentNode | null;
+  childForFieldName(fieldName: "inner"): InnerDocCommentMarkerNode | null;
+  childForFieldName(fieldName: "outer"): OuterDocCommentMarkerNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface LoopExpressionNode extends SyntaxNode {
+  readonly type: "loop_expression";
+  readonly isNamed: true;
+  readonly bodyNode: BlockNode;
+  childForFieldName(fieldName: "body"): BlockNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MacroDefinitionNode extends SyntaxNode {
+  readonly type: "macro_definition";
+  readonly isNamed: true;
+  readonly nameNode: IdentifierNode;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MacroInvocationNode extends SyntaxNode {
+  readonly type: "macro_invocation";
+  readonly isNamed: true;
+  readonly macroNode: IdentifierNode | ScopedIdentifierNode;
+  childForFieldName(fieldName: "macro"): IdentifierNode | ScopedIdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MacroRuleNode extends SyntaxNode {
+  readonly type: "macro_rule";
+  readonly isNamed: true;
+  readonly leftNode: TokenTreePatternNode;
+  readonly rightNode: TokenTreeNode;
+  childForFieldName(fieldName: "left"): TokenTreePatternNode;
+  childForFieldName(fieldName: "right"): TokenTreeNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MatchArmNode extends SyntaxNode {
+  readonly type: "match_arm";
+  readonly isNamed: true;
+  readonly patternNode: MatchPatternNode;
+  readonly valueNode: ExpressionNode | null;
+  childForFieldName(fieldName: "pattern"): MatchPatternNode;
+  childForFieldName(fieldName: "value"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MatchBlockNode extends SyntaxNode {
+  readonly type: "match_block";
+  readonly isNamed: true;
+}
+
+export interface MatchExpressionNode extends SyntaxNode {
+  readonly type: "match_expression";
+  readonly isNamed: true;
+  readonly bodyNode: MatchBlockNode;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "body"): MatchBlockNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MatchPatternNode extends SyntaxNode {
+  readonly type: "match_pattern";
+  readonly isNamed: true;
+  readonly conditionNode: ExpressionNode | LetChainNode | LetConditionNode | null;
+  childForFieldName(fieldName: "condition"): ExpressionNode | LetChainNode | LetConditionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MetaArgumentsNode extends SyntaxNode {
+  readonly type: "meta_arguments";
+  readonly isNamed: true;
+}
+
+export interface MetaListNode extends SyntaxNode {
+  readonly type: "meta_list";
+  readonly isNamed: true;
+  readonly argumentsNode: MetaArgumentsNode;
+  childForFieldName(fieldName: "arguments"): MetaArgumentsNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MetaNameValueNode extends SyntaxNode {
+  readonly type: "meta_name_value";
+  readonly isNamed: true;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MetaWordNode extends SyntaxNode {
+  readonly type: "meta_word";
+  readonly isNamed: true;
+}
+
+export interface ModItemNode extends SyntaxNode {
+  readonly type: "mod_item";
+  readonly isNamed: true;
+  readonly bodyNode: DeclarationListNode | null;
+  readonly nameNode: IdentifierNode;
+  childForFieldName(fieldName: "body"): DeclarationListNode | null;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface MutPatternNode extends SyntaxNode {
+  readonly type: "mut_pattern";
+  readonly isNamed: true;
+  readonly patternNode: PatternNode;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface NegativeLiteralNode extends SyntaxNode {
+  readonly type: "negative_literal";
+  readonly isNamed: true;
+}
+
+export interface NeverPatternNode extends SyntaxNode {
+  readonly type: "never_pattern";
+  readonly isNamed: true;
+}
+
+export interface NeverTypeNode extends SyntaxNode {
+  readonly type: "never_type";
+  readonly isNamed: true;
+}
+
+export interface OrPatternNode extends SyntaxNode {
+  readonly type: "or_pattern";
+  readonly isNamed: true;
+  readonly leftNode: PatternNode | null;
+  readonly rightNode: PatternNode;
+  childForFieldName(fieldName: "left"): PatternNode | null;
+  childForFieldName(fieldName: "right"): PatternNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface OrderedFieldDeclarationListNode extends SyntaxNode {
+  readonly type: "ordered_field_declaration_list";
+  readonly isNamed: true;
+  readonly typeNodes: Array<TypeNode>;
+  childrenForFieldName(fieldName: "type"): Array<TypeNode>;
+  childrenForFieldName(fieldName: string): Array<SyntaxNode>;
+}
+
+export interface OuterDocCommentMarkerNode extends SyntaxNode {
+  readonly type: "outer_doc_comment_marker";
+  readonly isNamed: true;
+}
+
+export interface ParameterNode extends SyntaxNode {
+  readonly type: "parameter";
+  readonly isNamed: true;
+  readonly patternNode: PatternNode | SelfNode;
+  readonly typeNode: TypeNode;
+  childForFieldName(fieldName: "pattern"): PatternNode | SelfNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ParametersNode extends SyntaxNode {
+  readonly type: "parameters";
+  readonly isNamed: true;
+}
+
+export interface ParenthesizedExpressionNode extends SyntaxNode {
+  readonly type: "parenthesized_expression";
+  readonly isNamed: true;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface PointerTypeNode extends SyntaxNode {
+  readonly type: "pointer_type";
+  readonly isNamed: true;
+  readonly typeNode: TypeNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface QualifiedTypeNode extends SyntaxNode {
+  readonly type: "qualified_type";
+  readonly isNamed: true;
+  readonly aliasNode: TypeNode;
+  readonly typeNode: TypeNode;
+  childForFieldName(fieldName: "alias"): TypeNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface RangeExpressionNode extends SyntaxNode {
+  readonly type: "range_expression";
+  readonly isNamed: true;
+  readonly endNode: ExpressionNode | null;
+  readonly startNode: ExpressionNode | null;
+  childForFieldName(fieldName: "end"): ExpressionNode | null;
+  childForFieldName(fieldName: "start"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface RangePatternNode extends SyntaxNode {
+  readonly type: "range_pattern";
+  readonly isNamed: true;
+  readonly leftNode: CrateNode | IdentifierNode | LiteralPatternNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  readonly rightNode: CrateNode | IdentifierNode | LiteralPatternNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  childForFieldName(fieldName: "left"): CrateNode | IdentifierNode | LiteralPatternNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  childForFieldName(fieldName: "right"): CrateNode | IdentifierNode | LiteralPatternNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface RawStringLiteralNode extends SyntaxNode {
+  readonly type: "raw_string_literal";
+  readonly isNamed: true;
+  readonly prefixNode: LiteralPrefixNode | null;
+  childForFieldName(fieldName: "prefix"): LiteralPrefixNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface RefPatternNode extends SyntaxNode {
+  readonly type: "ref_pattern";
+  readonly isNamed: true;
+  readonly patternNode: PatternNode;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ReferenceExpressionNode extends SyntaxNode {
+  readonly type: "reference_expression";
+  readonly isNamed: true;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ReferencePatternNode extends SyntaxNode {
+  readonly type: "reference_pattern";
+  readonly isNamed: true;
+  readonly patternNode: PatternNode;
+  childForFieldName(fieldName: "pattern"): PatternNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ReferenceTypeNode extends SyntaxNode {
+  readonly type: "reference_type";
+  readonly isNamed: true;
+  readonly typeNode: TypeNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface RemainingFieldPatternNode extends SyntaxNode {
+  readonly type: "remaining_field_pattern";
+  readonly isNamed: true;
+}
+
+export interface RemovedTraitBoundNode extends SyntaxNode {
+  readonly type: "removed_trait_bound";
+  readonly isNamed: true;
+}
+
+export interface ReturnExpressionNode extends SyntaxNode {
+  readonly type: "return_expression";
+  readonly isNamed: true;
+}
+
+export interface ReturnTypeNotationNode extends SyntaxNode {
+  readonly type: "return_type_notation";
+  readonly isNamed: true;
+  readonly functionNode: ScopedTypeIdentifierNode | TypeIdentifierNode;
+  childForFieldName(fieldName: "function"): ScopedTypeIdentifierNode | TypeIdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ScopedIdentifierNode extends SyntaxNode {
+  readonly type: "scoped_identifier";
+  readonly isNamed: true;
+  readonly nameNode: IdentifierNode | SuperNode;
+  readonly pathNode: BracketedTypeNode | CrateNode | GenericTypeNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  childForFieldName(fieldName: "name"): IdentifierNode | SuperNode;
+  childForFieldName(fieldName: "path"): BracketedTypeNode | CrateNode | GenericTypeNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ScopedTypeIdentifierNode extends SyntaxNode {
+  readonly type: "scoped_type_identifier";
+  readonly isNamed: true;
+  readonly nameNode: TypeIdentifierNode;
+  readonly pathNode: BracketedTypeNode | CrateNode | GenericTypeNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  childForFieldName(fieldName: "name"): TypeIdentifierNode;
+  childForFieldName(fieldName: "path"): BracketedTypeNode | CrateNode | GenericTypeNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface ScopedUseListNode extends SyntaxNode {
+  readonly type: "scoped_use_list";
+  readonly isNamed: true;
+  readonly listNode: UseListNode;
+  readonly pathNode: CrateNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  childForFieldName(fieldName: "list"): UseListNode;
+  childForFieldName(fieldName: "path"): CrateNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface SelfParameterNode extends SyntaxNode {
+  readonly type: "self_parameter";
+  readonly isNamed: true;
+}
+
+export interface ShorthandFieldInitializerNode extends SyntaxNode {
+  readonly type: "shorthand_field_initializer";
+  readonly isNamed: true;
+}
+
+export interface SlicePatternNode extends SyntaxNode {
+  readonly type: "slice_pattern";
+  readonly isNamed: true;
+}
+
+export interface SourceFileNode extends SyntaxNode {
+  readonly type: "source_file";
+  readonly isNamed: true;
+}
+
+export interface StaticItemNode extends SyntaxNode {
+  readonly type: "static_item";
+  readonly isNamed: true;
+  readonly nameNode: IdentifierNode;
+  readonly safetyNode: UnnamedNode<"safe" | "unsafe"> | null;
+  readonly typeNode: TypeNode;
+  readonly valueNode: ExpressionNode | null;
+  childForFieldName(fieldName: "name"): IdentifierNode;
+  childForFieldName(fieldName: "safety"): UnnamedNode<"safe" | "unsafe"> | null;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: "value"): ExpressionNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface StringLiteralNode extends SyntaxNode {
+  readonly type: "string_literal";
+  readonly isNamed: true;
+  readonly prefixNode: LiteralPrefixNode | null;
+  childForFieldName(fieldName: "prefix"): LiteralPrefixNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface StructExpressionNode extends SyntaxNode {
+  readonly type: "struct_expression";
+  readonly isNamed: true;
+  readonly bodyNode: FieldInitializerListNode;
+  readonly nameNode: GenericTypeWithTurbofishNode | ScopedTypeIdentifierNode | TypeIdentifierNode;
+  childForFieldName(fieldName: "body"): FieldInitializerListNode;
+  childForFieldName(fieldName: "name"): GenericTypeWithTurbofishNode | ScopedTypeIdentifierNode | TypeIdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface StructItemNode extends SyntaxNode {
+  readonly type: "struct_item";
+  readonly isNamed: true;
+  readonly bodyNode: FieldDeclarationListNode | OrderedFieldDeclarationListNode | null;
+  readonly nameNode: TypeIdentifierNode;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "body"): FieldDeclarationListNode | OrderedFieldDeclarationListNode | null;
+  childForFieldName(fieldName: "name"): TypeIdentifierNode;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface StructPatternNode extends SyntaxNode {
+  readonly type: "struct_pattern";
+  readonly isNamed: true;
+  readonly typeNode: ScopedTypeIdentifierNode | TypeIdentifierNode;
+  childForFieldName(fieldName: "type"): ScopedTypeIdentifierNode | TypeIdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TokenBindingPatternNode extends SyntaxNode {
+  readonly type: "token_binding_pattern";
+  readonly isNamed: true;
+  readonly nameNode: MetavariableNode;
+  readonly typeNode: FragmentSpecifierNode;
+  childForFieldName(fieldName: "name"): MetavariableNode;
+  childForFieldName(fieldName: "type"): FragmentSpecifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TokenRepetitionNode extends SyntaxNode {
+  readonly type: "token_repetition";
+  readonly isNamed: true;
+}
+
+export interface TokenRepetitionPatternNode extends SyntaxNode {
+  readonly type: "token_repetition_pattern";
+  readonly isNamed: true;
+}
+
+export interface TokenTreeNode extends SyntaxNode {
+  readonly type: "token_tree";
+  readonly isNamed: true;
+}
+
+export interface TokenTreePatternNode extends SyntaxNode {
+  readonly type: "token_tree_pattern";
+  readonly isNamed: true;
+}
+
+export interface TraitAliasItemNode extends SyntaxNode {
+  readonly type: "trait_alias_item";
+  readonly isNamed: true;
+  readonly boundsNode: TraitBoundsNode;
+  readonly nameNode: TypeIdentifierNode;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "bounds"): TraitBoundsNode;
+  childForFieldName(fieldName: "name"): TypeIdentifierNode;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TraitBoundsNode extends SyntaxNode {
+  readonly type: "trait_bounds";
+  readonly isNamed: true;
+}
+
+export interface TraitItemNode extends SyntaxNode {
+  readonly type: "trait_item";
+  readonly isNamed: true;
+  readonly bodyNode: DeclarationListNode;
+  readonly boundsNode: TraitBoundsNode | null;
+  readonly nameNode: TypeIdentifierNode;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "body"): DeclarationListNode;
+  childForFieldName(fieldName: "bounds"): TraitBoundsNode | null;
+  childForFieldName(fieldName: "name"): TypeIdentifierNode;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TryBlockNode extends SyntaxNode {
+  readonly type: "try_block";
+  readonly isNamed: true;
+  readonly bodyNode: BlockNode;
+  childForFieldName(fieldName: "body"): BlockNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TryExpressionNode extends SyntaxNode {
+  readonly type: "try_expression";
+  readonly isNamed: true;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TupleExpressionNode extends SyntaxNode {
+  readonly type: "tuple_expression";
+  readonly isNamed: true;
+}
+
+export interface TuplePatternNode extends SyntaxNode {
+  readonly type: "tuple_pattern";
+  readonly isNamed: true;
+}
+
+export interface TupleStructPatternNode extends SyntaxNode {
+  readonly type: "tuple_struct_pattern";
+  readonly isNamed: true;
+  readonly typeNode: GenericTypeNode | IdentifierNode | ScopedIdentifierNode;
+  childForFieldName(fieldName: "type"): GenericTypeNode | IdentifierNode | ScopedIdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TupleTypeNode extends SyntaxNode {
+  readonly type: "tuple_type";
+  readonly isNamed: true;
+}
+
+export interface TypeArgumentsNode extends SyntaxNode {
+  readonly type: "type_arguments";
+  readonly isNamed: true;
+}
+
+export interface TypeBindingNode extends SyntaxNode {
+  readonly type: "type_binding";
+  readonly isNamed: true;
+  readonly nameNode: ReturnTypeNotationNode | TypeIdentifierNode;
+  readonly typeNode: TypeNode;
+  readonly typeArgumentsNode: TypeArgumentsNode | null;
+  childForFieldName(fieldName: "name"): ReturnTypeNotationNode | TypeIdentifierNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: "type_arguments"): TypeArgumentsNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TypeCastExpressionNode extends SyntaxNode {
+  readonly type: "type_cast_expression";
+  readonly isNamed: true;
+  readonly typeNode: TypeNode;
+  readonly valueNode: ExpressionNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: "value"): ExpressionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TypeItemNode extends SyntaxNode {
+  readonly type: "type_item";
+  readonly isNamed: true;
+  readonly nameNode: TypeIdentifierNode;
+  readonly typeNode: TypeNode;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "name"): TypeIdentifierNode;
+  childForFieldName(fieldName: "type"): TypeNode;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TypeParameterNode extends SyntaxNode {
+  readonly type: "type_parameter";
+  readonly isNamed: true;
+  readonly boundsNode: TraitBoundsNode | null;
+  readonly defaultTypeNode: TypeNode | null;
+  readonly nameNode: TypeIdentifierNode;
+  childForFieldName(fieldName: "bounds"): TraitBoundsNode | null;
+  childForFieldName(fieldName: "default_type"): TypeNode | null;
+  childForFieldName(fieldName: "name"): TypeIdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface TypeParametersNode extends SyntaxNode {
+  readonly type: "type_parameters";
+  readonly isNamed: true;
+}
+
+export interface UnaryExpressionNode extends SyntaxNode {
+  readonly type: "unary_expression";
+  readonly isNamed: true;
+  readonly operandNode: ExpressionNode;
+  readonly operatorNode: UnnamedNode<"!" | "*" | "-">;
+  childForFieldName(fieldName: "operand"): ExpressionNode;
+  childForFieldName(fieldName: "operator"): UnnamedNode<"!" | "*" | "-">;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface UnionItemNode extends SyntaxNode {
+  readonly type: "union_item";
+  readonly isNamed: true;
+  readonly bodyNode: FieldDeclarationListNode;
+  readonly nameNode: TypeIdentifierNode;
+  readonly typeParametersNode: TypeParametersNode | null;
+  childForFieldName(fieldName: "body"): FieldDeclarationListNode;
+  childForFieldName(fieldName: "name"): TypeIdentifierNode;
+  childForFieldName(fieldName: "type_parameters"): TypeParametersNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface UnitExpressionNode extends SyntaxNode {
+  readonly type: "unit_expression";
+  readonly isNamed: true;
+}
+
+export interface UnitTypeNode extends SyntaxNode {
+  readonly type: "unit_type";
+  readonly isNamed: true;
+}
+
+export interface UnsafeAttributeNode extends SyntaxNode {
+  readonly type: "unsafe_attribute";
+  readonly isNamed: true;
+}
+
+export interface UnsafeBlockNode extends SyntaxNode {
+  readonly type: "unsafe_block";
+  readonly isNamed: true;
+  readonly bodyNode: BlockNode;
+  childForFieldName(fieldName: "body"): BlockNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface UseAsClauseNode extends SyntaxNode {
+  readonly type: "use_as_clause";
+  readonly isNamed: true;
+  readonly aliasNode: IdentifierNode;
+  readonly pathNode: CrateNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode;
+  childForFieldName(fieldName: "alias"): IdentifierNode;
+  childForFieldName(fieldName: "path"): CrateNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | SelfNode | SuperNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface UseBoundsNode extends SyntaxNode {
+  readonly type: "use_bounds";
+  readonly isNamed: true;
+}
+
+export interface UseDeclarationNode extends SyntaxNode {
+  readonly type: "use_declaration";
+  readonly isNamed: true;
+  readonly argumentNode: CrateNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | ScopedUseListNode | SelfNode | SuperNode | UseAsClauseNode | UseListNode | UseWildcardNode;
+  childForFieldName(fieldName: "argument"): CrateNode | IdentifierNode | MetavariableNode | ScopedIdentifierNode | ScopedUseListNode | SelfNode | SuperNode | UseAsClauseNode | UseListNode | UseWildcardNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface UseListNode extends SyntaxNode {
+  readonly type: "use_list";
+  readonly isNamed: true;
+}
+
+export interface UseWildcardNode extends SyntaxNode {
+  readonly type: "use_wildcard";
+  readonly isNamed: true;
+}
+
+export interface VariadicParameterNode extends SyntaxNode {
+  readonly type: "variadic_parameter";
+  readonly isNamed: true;
+  readonly patternNode: PatternNode | null;
+  childForFieldName(fieldName: "pattern"): PatternNode | null;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface VisibilityModifierNode extends SyntaxNode {
+  readonly type: "visibility_modifier";
+  readonly isNamed: true;
+}
+
+export interface WhereClauseNode extends SyntaxNode {
+  readonly type: "where_clause";
+  readonly isNamed: true;
+}
+
+export interface WherePredicateNode extends SyntaxNode {
+  readonly type: "where_predicate";
+  readonly isNamed: true;
+  readonly boundsNode: TraitBoundsNode;
+  readonly leftNode: ArrayTypeNode | GenericTypeNode | HigherRankedTraitBoundNode | LifetimeNode | PointerTypeNode | PrimitiveTypeNode | ReferenceTypeNode | ReturnTypeNotationNode | ScopedTypeIdentifierNode | TupleTypeNode | TypeIdentifierNode;
+  childForFieldName(fieldName: "bounds"): TraitBoundsNode;
+  childForFieldName(fieldName: "left"): ArrayTypeNode | GenericTypeNode | HigherRankedTraitBoundNode | LifetimeNode | PointerTypeNode | PrimitiveTypeNode | ReferenceTypeNode | ReturnTypeNotationNode | ScopedTypeIdentifierNode | TupleTypeNode | TypeIdentifierNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface WhileExpressionNode extends SyntaxNode {
+  readonly type: "while_expression";
+  readonly isNamed: true;
+  readonly bodyNode: BlockNode;
+  readonly conditionNode: ExpressionNode | LetChainNode | LetConditionNode;
+  childForFieldName(fieldName: "body"): BlockNode;
+  childForFieldName(fieldName: "condition"): ExpressionNode | LetChainNode | LetConditionNode;
+  childForFieldName(fieldName: string): SyntaxNode | null;
+}
+
+export interface YeetExpressionNode extends SyntaxNode {
+  readonly type: "yeet_expression";
+  readonly isNamed: true;
+}
+
+export interface YieldExpressionNode extends SyntaxNode {
+  readonly type: "yield_expression";
+  readonly isNamed: true;
+}
+
+export interface CrateNode extends SyntaxNode {
+  readonly type: "crate";
+  readonly isNamed: true;
+}
+
+export interface DocCommentNode extends SyntaxNode {
+  readonly type: "doc_comment";
+  readonly isNamed: true;
+}
+
+export interface EscapeSequenceNode extends SyntaxNode {
+  readonly type: "escape_sequence";
+  readonly isNamed: true;
+}
+
+export interface FieldIdentifierNode extends SyntaxNode {
+  readonly type: "field_identifier";
+  readonly isNamed: true;
+}
+
+export interface FormatSpecNode extends SyntaxNode {
+  readonly type: "format_spec";
+  readonly isNamed: true;
+}
+
+export interface FrontmatterContentNode extends SyntaxNode {
+  readonly type: "frontmatter_content";
+  readonly isNamed: true;
+}
+
+export interface FrontmatterInfostringNode extends SyntaxNode {
+  readonly type: "frontmatter_infostring";
+  readonly isNamed: true;
+}
+
+export interface IdentifierNode extends SyntaxNode {
+  readonly type: "identifier";
+  readonly isNamed: true;
+}
+
+export interface LiteralPrefixNode extends SyntaxNode {
+  readonly type: "literal_prefix";
+  readonly isNamed: true;
+}
+
+export interface LiteralSuffixNode extends SyntaxNode {
+  readonly type: "literal_suffix";
+  readonly isNamed: true;
+}
+
+export interface MetavariableNode extends SyntaxNode {
+  readonly type: "metavariable";
+  readonly isNamed: true;
+}
+
+export interface MutableSpecifierNode extends SyntaxNode {
+  readonly type: "mutable_specifier";
+  readonly isNamed: true;
+}
+
+export interface PrimitiveTypeNode extends SyntaxNode {
+  readonly type: "primitive_type";
+  readonly isNamed: true;
+}
+
+export interface SelfNode extends SyntaxNode {
+  readonly type: "self";
+  readonly isNamed: true;
+}
+
+export interface ShebangNode extends SyntaxNode {
+  readonly type: "shebang";
+  readonly isNamed: true;
+}
+
+export interface ShorthandFieldIdentifierNode extends SyntaxNode {
+  readonly type: "shorthand_field_identifier";
+  readonly isNamed: true;
+}
+
+export interface StringContentNode extends SyntaxNode {
+  readonly type: "string_content";
+  readonly isNamed: true;
+}
+
+export interface SuperNode extends SyntaxNode {
+  readonly type: "super";
+  readonly isNamed: true;
+}
+
+export interface TypeIdentifierNode extends SyntaxNode {
+  readonly type: "type_identifier";
+  readonly isNamed: true;
+}
+
+/** Maps each named node kind and each supertype to the type of its nodes. */
+export interface NodeKindMap {
+  _declaration_statement: DeclarationStatementNode;
+  _expression: ExpressionNode;
+  _literal: LiteralNode;
+  _literal_pattern: LiteralPatternNode;
+  _pattern: PatternNode;
+  _type: TypeNode;
+  abstract_type: AbstractTypeNode;
+  arguments: ArgumentsNode;
+  array_expression: ArrayExpressionNode;
+  array_type: ArrayTypeNode;
+  assignment_expression: AssignmentExpressionNode;
+  associated_type: AssociatedTypeNode;
+  async_block: AsyncBlockNode;
+  attribute: AttributeNode;
+  attribute_item: AttributeItemNode;
+  await_expression: AwaitExpressionNode;
+  base_field_initializer: BaseFieldInitializerNode;
+  become_expression: BecomeExpressionNode;
+  binary_expression: BinaryExpressionNode;
+  block: BlockNode;
+  block_comment: BlockCommentNode;
+  boolean_literal: BooleanLiteralNode;
+  bounded_type: BoundedTypeNode;
+  box_pattern: BoxPatternNode;
+  bracketed_type: BracketedTypeNode;
+  break_expression: BreakExpressionNode;
+  call_expression: CallExpressionNode;
+  captured_pattern: CapturedPatternNode;
+  char_literal: CharLiteralNode;
+  closure_expression: ClosureExpressionNode;
+  closure_parameters: ClosureParametersNode;
+  compound_assignment_expr: CompoundAssignmentExprNode;
+  const_block: ConstBlockNode;
+  const_item: ConstItemNode;
+  const_parameter: ConstParameterNode;
+  const_trait_bound: ConstTraitBoundNode;
+  continue_expression: ContinueExpressionNode;
+  decl_macro_definition: DeclMacroDefinitionNode;
+  declaration_list: DeclarationListNode;
+  default_field_initializer: DefaultFieldInitializerNode;
+  deref_pattern: DerefPatternNode;
+  dynamic_type: DynamicTypeNode;
+  else_clause: ElseClauseNode;
+  empty_statement: EmptyStatementNode;
+  enum_item: EnumItemNode;
+  enum_variant: EnumVariantNode;
+  enum_variant_list: EnumVariantListNode;
+  expression_statement: ExpressionStatementNode;
+  extern_crate_declaration: ExternCrateDeclarationNode;
+  extern_modifier: ExternModifierNode;
+  field_declaration: FieldDeclarationNode;
+  field_declaration_list: FieldDeclarationListNode;
+  field_expression: FieldExpressionNode;
+  field_initializer: FieldInitializerNode;
+  field_initializer_list: FieldInitializerListNode;
+  field_pattern: FieldPatternNode;
+  float_literal: FloatLiteralNode;
+  for_expression: ForExpressionNode;
+  for_lifetimes: ForLifetimesNode;
+  foreign_mod_item: ForeignModItemNode;
+  format_arguments: FormatArgumentsNode;
+  format_named_argument: FormatNamedArgumentNode;
+  format_placeholder: FormatPlaceholderNode;
+  format_string: FormatStringNode;
+  fragment_specifier: FragmentSpecifierNode;
+  frontmatter: FrontmatterNode;
+  function_item: FunctionItemNode;
+  function_modifiers: FunctionModifiersNode;
+  function_signature_item: FunctionSignatureItemNode;
+  function_type: FunctionTypeNode;
+  gen_block: GenBlockNode;
+  generic_function: GenericFunctionNode;
+  generic_pattern: GenericPatternNode;
+  generic_type: GenericTypeNode;
+  generic_type_with_turbofish: GenericTypeWithTurbofishNode;
+  guard_pattern: GuardPatternNode;
+  higher_ranked_trait_bound: HigherRankedTraitBoundNode;
+  if_expression: IfExpressionNode;
+  impl_item: ImplItemNode;
+  index_expression: IndexExpressionNode;
+  inner_attribute_item: InnerAttributeItemNode;
+  inner_doc_comment_marker: InnerDocCommentMarkerNode;
+  integer_literal: IntegerLiteralNode;
+  label: LabelNode;
+  let_chain: LetChainNode;
+  let_condition: LetConditionNode;
+  let_declaration: LetDeclarationNode;
+  lifetime: LifetimeNode;
+  lifetime_parameter: LifetimeParameterNode;
+  line_comment: LineCommentNode;
+  loop_expression: LoopExpressionNode;
+  macro_definition: MacroDefinitionNode;
+  macro_invocation: MacroInvocationNode;
+  macro_rule: MacroRuleNode;
+  match_arm: MatchArmNode;
+  match_block: MatchBlockNode;
+  match_expression: MatchExpressionNode;
+  match_pattern: MatchPatternNode;
+  meta_arguments: MetaArgumentsNode;
+  meta_list: MetaListNode;
+  meta_name_value: MetaNameValueNode;
+  meta_word: MetaWordNode;
+  mod_item: ModItemNode;
+  mut_pattern: MutPatternNode;
+  negative_literal: NegativeLiteralNode;
+  never_pattern: NeverPatternNode;
+  never_type: NeverTypeNode;
+  or_pattern: OrPatternNode;
+  ordered_field_declaration_list: OrderedFieldDeclarationListNode;
+  outer_doc_comment_marker: OuterDocCommentMarkerNode;
+  parameter: ParameterNode;
+  parameters: ParametersNode;
+  parenthesized_expression: ParenthesizedExpressionNode;
+  pointer_type: PointerTypeNode;
+  qualified_type: QualifiedTypeNode;
+  range_expression: RangeExpressionNode;
+  range_pattern: RangePatternNode;
+  raw_string_literal: RawStringLiteralNode;
+  ref_pattern: RefPatternNode;
+  reference_expression: ReferenceExpressionNode;
+  reference_pattern: ReferencePatternNode;
+  reference_type: ReferenceTypeNode;
+  remaining_field_pattern: RemainingFieldPatternNode;
+  removed_trait_bound: RemovedTraitBoundNode;
+  return_expression: ReturnExpressionNode;
+  return_type_notation: ReturnTypeNotationNode;
+  scoped_identifier: ScopedIdentifierNode;
+  scoped_type_identifier: ScopedTypeIdentifierNode;
+  scoped_use_list: ScopedUseListNode;
+  self_parameter: SelfParameterNode;
+  shorthand_field_initializer: ShorthandFieldInitializerNode;
+  slice_pattern: SlicePatternNode;
+  source_file: SourceFileNode;
+  static_item: StaticItemNode;
+  string_literal: StringLiteralNode;
+  struct_expression: StructExpressionNode;
+  struct_item: StructItemNode;
+  struct_pattern: StructPatternNode;
+  token_binding_pattern: TokenBindingPatternNode;
+  token_repetition: TokenRepetitionNode;
+  token_repetition_pattern: TokenRepetitionPatternNode;
+  token_tree: TokenTreeNode;
+  token_tree_pattern: TokenTreePatternNode;
+  trait_alias_item: TraitAliasItemNode;
+  trait_bounds: TraitBoundsNode;
+  trait_item: TraitItemNode;
+  try_block: TryBlockNode;
+  try_expression: TryExpressionNode;
+  tuple_expression: TupleExpressionNode;
+  tuple_pattern: TuplePatternNode;
+  tuple_struct_pattern: TupleStructPatternNode;
+  tuple_type: TupleTypeNode;
+  type_arguments: TypeArgumentsNode;
+  type_binding: TypeBindingNode;
+  type_cast_expression: TypeCastExpressionNode;
+  type_item: TypeItemNode;
+  type_parameter: TypeParameterNode;
+  type_parameters: TypeParametersNode;
+  unary_expression: UnaryExpressionNode;
+  union_item: UnionItemNode;
+  unit_expression: UnitExpressionNode;
+  unit_type: UnitTypeNode;
+  unsafe_attribute: UnsafeAttributeNode;
+  unsafe_block: UnsafeBlockNode;
+  use_as_clause: UseAsClauseNode;
+  use_bounds: UseBoundsNode;
+  use_declaration: UseDeclarationNode;
+  use_list: UseListNode;
+  use_wildcard: UseWildcardNode;
+  variadic_parameter: VariadicParameterNode;
+  visibility_modifier: VisibilityModifierNode;
+  where_clause: WhereClauseNode;
+  where_predicate: WherePredicateNode;
+  while_expression: WhileExpressionNode;
+  yeet_expression: YeetExpressionNode;
+  yield_expression: YieldExpressionNode;
+  crate: CrateNode;
+  doc_comment: DocCommentNode;
+  escape_sequence: EscapeSequenceNode;
+  field_identifier: FieldIdentifierNode;
+  format_spec: FormatSpecNode;
+  frontmatter_content: FrontmatterContentNode;
+  frontmatter_infostring: FrontmatterInfostringNode;
+  identifier: IdentifierNode;
+  literal_prefix: LiteralPrefixNode;
+  literal_suffix: LiteralSuffixNode;
+  metavariable: MetavariableNode;
+  mutable_specifier: MutableSpecifierNode;
+  primitive_type: PrimitiveTypeNode;
+  self: SelfNode;
+  shebang: ShebangNode;
+  shorthand_field_identifier: ShorthandFieldIdentifierNode;
+  string_content: StringContentNode;
+  super: SuperNode;
+  type_identifier: TypeIdentifierNode;
+}
+
+/** The name of a named node kind or of a supertype. */
+export type NodeKind = keyof NodeKindMap;
+
+/** Any named node. */
+export type NamedNode = AbstractTypeNode | ArgumentsNode | ArrayExpressionNode | ArrayTypeNode | AssignmentExpressionNode | AssociatedTypeNode | AsyncBlockNode | AttributeItemNode | AttributeNode | AwaitExpressionNode | BaseFieldInitializerNode | BecomeExpressionNode | BinaryExpressionNode | BlockCommentNode | BlockNode | BooleanLiteralNode | BoundedTypeNode | BoxPatternNode | BracketedTypeNode | BreakExpressionNode | CallExpressionNode | CapturedPatternNode | CharLiteralNode | ClosureExpressionNode | ClosureParametersNode | CompoundAssignmentExprNode | ConstBlockNode | ConstItemNode | ConstParameterNode | ConstTraitBoundNode | ContinueExpressionNode | CrateNode | DeclMacroDefinitionNode | DeclarationListNode | DefaultFieldInitializerNode | DerefPatternNode | DocCommentNode | DynamicTypeNode | ElseClauseNode | EmptyStatementNode | EnumItemNode | EnumVariantListNode | EnumVariantNode | EscapeSequenceNode | ExpressionStatementNode | ExternCrateDeclarationNode | ExternModifierNode | FieldDeclarationListNode | FieldDeclarationNode | FieldExpressionNode | FieldIdentifierNode | FieldInitializerListNode | FieldInitializerNode | FieldPatternNode | FloatLiteralNode | ForExpressionNode | ForLifetimesNode | ForeignModItemNode | FormatArgumentsNode | FormatNamedArgumentNode | FormatPlaceholderNode | FormatSpecNode | FormatStringNode | FragmentSpecifierNode | FrontmatterContentNode | FrontmatterInfostringNode | FrontmatterNode | FunctionItemNode | FunctionModifiersNode | FunctionSignatureItemNode | FunctionTypeNode | GenBlockNode | GenericFunctionNode | GenericPatternNode | GenericTypeNode | GenericTypeWithTurbofishNode | GuardPatternNode | HigherRankedTraitBoundNode | IdentifierNode | IfExpressionNode | ImplItemNode | IndexExpressionNode | InnerAttributeItemNode | InnerDocCommentMarkerNode | IntegerLiteralNode | LabelNode | LetChainNode | LetConditionNode | LetDeclarationNode | LifetimeNode | LifetimeParameterNode | LineCommentNode | LiteralPrefixNode | LiteralSuffixNode | LoopExpressionNode | MacroDefinitionNode | MacroInvocationNode | MacroRuleNode | MatchArmNode | MatchBlockNode | MatchExpressionNode | MatchPatternNode | MetaArgumentsNode | MetaListNode | MetaNameValueNode | MetaWordNode | MetavariableNode | ModItemNode | MutPatternNode | MutableSpecifierNode | NegativeLiteralNode | NeverPatternNode | NeverTypeNode | OrPatternNode | OrderedFieldDeclarationListNode | OuterDocCommentMarkerNode | ParameterNode | ParametersNode | ParenthesizedExpressionNode | PointerTypeNode | PrimitiveTypeNode | QualifiedTypeNode | RangeExpressionNode | RangePatternNode | RawStringLiteralNode | RefPatternNode | ReferenceExpressionNode | ReferencePatternNode | ReferenceTypeNode | RemainingFieldPatternNode | RemovedTraitBoundNode | ReturnExpressionNode | ReturnTypeNotationNode | ScopedIdentifierNode | ScopedTypeIdentifierNode | ScopedUseListNode | SelfNode | SelfParameterNode | ShebangNode | ShorthandFieldIdentifierNode | ShorthandFieldInitializerNode | SlicePatternNode | SourceFileNode | StaticItemNode | StringContentNode | StringLiteralNode | StructExpressionNode | StructItemNode | StructPatternNode | SuperNode | TokenBindingPatternNode | TokenRepetitionNode | TokenRepetitionPatternNode | TokenTreeNode | TokenTreePatternNode | TraitAliasItemNode | TraitBoundsNode | TraitItemNode | TryBlockNode | TryExpressionNode | TupleExpressionNode | TuplePatternNode | TupleStructPatternNode | TupleTypeNode | TypeArgumentsNode | TypeBindingNode | TypeCastExpressionNode | TypeIdentifierNode | TypeItemNode | TypeParameterNode | TypeParametersNode | UnaryExpressionNode | UnionItemNode | UnitExpressionNode | UnitTypeNode | UnsafeAttributeNode | UnsafeBlockNode | UseAsClauseNode | UseBoundsNode | UseDeclarationNode | UseListNode | UseWildcardNode | VariadicParameterNode | VisibilityModifierNode | WhereClauseNode | WherePredicateNode | WhileExpressionNode | YeetExpressionNode | YieldExpressionNode;
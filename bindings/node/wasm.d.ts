@@ -0,0 +1,21 @@
+import type { Language, Node, Query, Tree } from "web-tree-sitter";
+import Rust = require(".");
+
+/**
+ * The grammar loaded through `web-tree-sitter`, with the exports of the native
+ * binding, typed with the classes of `web-tree-sitter`.
+ */
+export type WasmLanguage = Language &
+  Omit<Rust.WasmLanguage, "queries" | "isKind" | "extractSymbols"> & {
+    /** The bundled queries, each compiled the first time it is accessed. */
+    readonly queries: { readonly [name in keyof typeof Rust.queries]: Query };
+
+    /** Checks whether a node is a named node of the given kind, or of any kind in the given supertype. */
+    isKind(node: Node | null | undefined, kind: Rust.Node.NodeKind): boolean;
+
+    /** Extracts the definitions and references in a source file or tree, in the order they appear. */
+    extractSymbols(input: string | Tree): Rust.SymbolInfo[];
+  };
+
+/** Loads `tree-sitter-rust.wasm` through `web-tree-sitter`. */
+export function load(options?: Rust.LoadOptions): Promise<WasmLanguage>;
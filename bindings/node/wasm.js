@@ -0,0 +1,32 @@
+const { define } = require("./common");
+
+const languages = new Map();
+
+// Loads `tree-sitter-rust.wasm` through `web-tree-sitter`, resolving to its
+// `Language` with the same exports as the native binding. The module is read
+// from `path`, a path in Node or a URL in a browser, and defaults to the one in
+// this package. Each path is loaded once; a failed load is retried on the next
+// call.
+function load({ path = `${__dirname}/../../tree-sitter-rust.wasm` } = {}) {
+  if (!languages.has(path)) {
+    languages.set(path, (async () => {
+      const { Parser, Language, Query } = require("web-tree-sitter");
+      await Parser.init();
+      const wasm = await Language.load(path);
+      return define(wasm, {
+        compile: (source) => new Query(wasm, source),
+        parse(source) {
+          const parser = new Parser();
+          parser.setLanguage(wasm);
+          return parser.parse(source);
+        },
+      });
+    })().catch((error) => {
+      languages.delete(path);
+      throw error;
+    }));
+  }
+  return languages.get(path);
+}
+
+module.exports = { load };
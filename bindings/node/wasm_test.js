@@ -0,0 +1,57 @@
+const assert = require("node:assert");
+const { copyFileSync, existsSync, mkdtempSync, readFileSync, rmSync } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join } = require("node:path");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const Rust = require(".");
+
+const root = join(__dirname, "..", "..");
+// CI builds the WebAssembly module, so the tests only skip without it locally.
+const skip = !process.env.CI && !existsSync(join(root, "tree-sitter-rust.wasm")) && "run `tree-sitter build --wasm` first";
+
+test("wasm: parses examples/ast.rs to the same tree as the native binding", { skip }, async () => {
+  const source = readFileSync(join(root, "examples", "ast.rs"), "utf8");
+
+  const parser = new Parser();
+  parser.setLanguage(Rust);
+  const tree = parser.parse(source);
+
+  const { Parser: WasmParser } = require("web-tree-sitter");
+  const wasmParser = new WasmParser();
+  wasmParser.setLanguage(await Rust.load({ wasm: true }));
+  const wasmTree = wasmParser.parse(source);
+
+  assert.strictEqual(wasmTree.rootNode.hasError, false);
+  assert.strictEqual(wasmTree.rootNode.toString(), tree.rootNode.toString());
+});
+
+test("wasm: has the same exports as the native binding", { skip }, async () => {
+  const wasm = await Rust.load({ wasm: true });
+
+  // `name` and `language` come from the backend itself.
+  const shared = Object.keys(Rust).filter((name) => !["name", "language", "load"].includes(name));
+  for (const name of shared) {
+    if (typeof Rust[name] === "string") assert.strictEqual(wasm[name], Rust[name], name);
+    else assert.ok(name in wasm, name);
+  }
+  for (const name of Object.keys(Rust.queries)) {
+    assert.doesNotThrow(() => wasm.queries[name], name);
+  }
+});
+
+test("wasm: loads the module from the given path", { skip }, async () => {
+  const dir = mkdtempSync(join(tmpdir(), "tree-sitter-rust-"));
+  try {
+    const path = join(dir, "rust.wasm");
+    copyFileSync(join(root, "tree-sitter-rust.wasm"), path);
+    const wasm = await Rust.load({ wasm: true, path });
+
+    assert.notStrictEqual(wasm, await Rust.load({ wasm: true }));
+    assert.strictEqual(wasm, await Rust.load({ wasm: true, path }));
+    assert.deepStrictEqual(wasm.extractSymbols("fn f() {}").map((symbol) => symbol.name), ["f"]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
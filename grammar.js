@@ -57,6 +57,18 @@ const TOKEN_TREE_NON_SPECIAL_PUNCTUATION = [
 
 const primitiveTypes = numericTypes.concat(['bool', 'str', 'char']);
 
+// Standard library macros whose arguments are parsed as a format string
+// followed by expressions, keyed by how many expressions come before the format
+// string.
+// https://doc.rust-lang.org/std/fmt/index.html
+const formatMacros = {
+  0: ['format', 'format_args', 'print', 'println', 'eprint', 'eprintln', 'panic'],
+  1: ['write', 'writeln', 'assert', 'debug_assert'],
+  2: ['assert_eq', 'assert_ne', 'debug_assert_eq', 'debug_assert_ne'],
+};
+
+const formatMacroNames = Object.values(formatMacros).flat();
+
 module.exports = grammar({
   name: 'rust',
 
@@ -71,11 +83,16 @@ module.exports = grammar({
     $._raw_string_literal_start,
     $.raw_string_literal_content,
     $._raw_string_literal_end,
-    $.float_literal,
+    $._float_literal_value,
     $._outer_block_doc_comment_marker,
     $._inner_block_doc_comment_marker,
     $._block_comment_content,
     $._line_doc_content,
+    $._format_string_content,
+    $._frontmatter_start,
+    $.frontmatter_content,
+    $._frontmatter_end,
+    $.literal_prefix,
     $._error_sentinel,
   ],
 
@@ -107,10 +124,40 @@ module.exports = grammar({
     [$.scoped_identifier, $.scoped_type_identifier],
     [$.parameters, $._pattern],
     [$.parameters, $.tuple_struct_pattern],
+    [$.never_type, $.never_pattern],
+
+    // A pattern containing a never pattern may be the pattern of an arm
+    // without a body, until the arm turns out to have one.
+    [$._never_arm_pattern, $._pattern],
+    [$._never_tuple_pattern, $.tuple_pattern],
+    [$._never_slice_pattern, $.slice_pattern],
+    [$._never_tuple_struct_pattern, $.tuple_struct_pattern],
     [$.array_expression],
     [$.visibility_modifier],
     [$.visibility_modifier, $.scoped_identifier, $.scoped_type_identifier],
+
+    // In an extern block, a leading `unsafe` on a function signature is its
+    // safety qualifier, but may also start the function modifiers of a
+    // function item.
+    [$._foreign_function_signature_item, $.function_modifiers],
+    [$.foreign_mod_item, $._foreign_function_signature_item, $.function_modifiers],
     [$.foreign_mod_item, $.function_modifiers],
+
+    // `impl const` starts either a const trait impl or the modifiers of a
+    // function pointer type.
+    [$.impl_item, $.function_modifiers],
+
+    // Attribute arguments are parsed both as meta items and as a token tree,
+    // until one of them fails.
+    [$.meta_arguments, $.delim_token_tree],
+    [$.meta_arguments, $._non_delim_token],
+    [$._meta_item, $._non_delim_token],
+    [$.meta_word, $._non_delim_token],
+    [$.meta_list, $._non_delim_token],
+    [$.meta_name_value, $._non_delim_token],
+    [$.scoped_identifier, $._non_delim_token],
+    [$.scoped_identifier, $.generic_type_with_turbofish, $._non_delim_token],
+    [$.bracketed_type, $._non_delim_token],
   ],
 
   word: $ => $.identifier,
@@ -118,6 +165,7 @@ module.exports = grammar({
   rules: {
     source_file: $ => seq(
       optional($.shebang),
+      optional($.frontmatter),
       repeat($._statement),
     ),
 
@@ -137,6 +185,7 @@ module.exports = grammar({
       $.const_item,
       $.macro_invocation,
       $.macro_definition,
+      $.decl_macro_definition,
       $.empty_statement,
       $.attribute_item,
       $.inner_attribute_item,
@@ -150,6 +199,7 @@ module.exports = grammar({
       $.function_signature_item,
       $.impl_item,
       $.trait_item,
+      $.trait_alias_item,
       $.associated_type,
       $.let_declaration,
       $.use_declaration,
@@ -179,6 +229,31 @@ module.exports = grammar({
       );
     },
 
+    // https://doc.rust-lang.org/unstable-book/language-features/decl-macro.html
+    decl_macro_definition: $ => seq(
+      optional($.visibility_modifier),
+      'macro',
+      field('name', choice(
+        $.identifier,
+        $._reserved_identifier,
+      )),
+      choice(
+        seq(
+          field('parameters', alias(
+            seq('(', repeat($._token_pattern), ')'),
+            $.token_tree_pattern,
+          )),
+          field('body', $.token_tree),
+        ),
+        seq(
+          '{',
+          sepBy(',', $.macro_rule),
+          optional(','),
+          '}',
+        ),
+      ),
+    ),
+
     macro_rule: $ => seq(
       field('left', $.token_tree_pattern),
       '=>',
@@ -249,7 +324,7 @@ module.exports = grammar({
     attribute_item: $ => seq(
       '#',
       '[',
-      $.attribute,
+      choice($.attribute, $.unsafe_attribute),
       ']',
     ),
 
@@ -257,18 +332,59 @@ module.exports = grammar({
       '#',
       '!',
       '[',
-      $.attribute,
+      choice($.attribute, $.unsafe_attribute),
       ']',
     ),
 
+    // https://doc.rust-lang.org/reference/attributes.html#r-attributes.safety
+    unsafe_attribute: $ => seq(
+      'unsafe',
+      '(',
+      $.attribute,
+      ')',
+    ),
+
     attribute: $ => seq(
       $._path,
       optional(choice(
         seq('=', field('value', $._expression)),
-        field('arguments', alias($.delim_token_tree, $.token_tree)),
+        field('arguments', choice(
+          $.meta_arguments,
+          alias($.delim_token_tree, $.token_tree),
+        )),
       )),
     ),
 
+    // Arguments that follow the meta item syntax are parsed as such, and any
+    // others are left as a token tree.
+    // https://doc.rust-lang.org/reference/attributes.html#meta-item-attribute-syntax
+    meta_arguments: $ => prec.dynamic(1, seq(
+      '(',
+      sepBy(',', $._meta_item),
+      optional(','),
+      ')',
+    )),
+
+    _meta_item: $ => choice(
+      $.meta_word,
+      $.meta_name_value,
+      $.meta_list,
+      $._literal,
+    ),
+
+    meta_word: $ => $._path,
+
+    meta_name_value: $ => seq(
+      $._path,
+      '=',
+      field('value', $._expression),
+    ),
+
+    meta_list: $ => seq(
+      $._path,
+      field('arguments', $.meta_arguments),
+    ),
+
     mod_item: $ => seq(
       optional($.visibility_modifier),
       'mod',
@@ -284,7 +400,7 @@ module.exports = grammar({
       $.extern_modifier,
       choice(
         ';',
-        field('body', $.declaration_list),
+        field('body', alias($._foreign_declaration_list, $.declaration_list)),
       ),
     ),
 
@@ -294,6 +410,18 @@ module.exports = grammar({
       '}',
     ),
 
+    // The items of an extern block, whose function signatures and statics may
+    // be qualified as `safe` or `unsafe`.
+    _foreign_declaration_list: $ => seq(
+      '{',
+      repeat(choice(
+        $._declaration_statement,
+        alias($._foreign_function_signature_item, $.function_signature_item),
+        alias($._foreign_static_item, $.static_item),
+      )),
+      '}',
+    ),
+
     struct_item: $ => seq(
       optional($.visibility_modifier),
       'struct',
@@ -363,6 +491,10 @@ module.exports = grammar({
       field('name', $._field_identifier),
       ':',
       field('type', $._type),
+      optional(seq(
+        '=',
+        field('default_value', $._expression),
+      )),
     ),
 
     ordered_field_declaration_list: $ => seq(
@@ -421,6 +553,17 @@ module.exports = grammar({
       ';',
     ),
 
+    _foreign_static_item: $ => seq(
+      optional($.visibility_modifier),
+      field('safety', choice('safe', 'unsafe')),
+      'static',
+      optional($.mutable_specifier),
+      field('name', $.identifier),
+      ':',
+      field('type', $._type),
+      ';',
+    ),
+
     type_item: $ => seq(
       optional($.visibility_modifier),
       'type',
@@ -457,6 +600,19 @@ module.exports = grammar({
       ';',
     ),
 
+    _foreign_function_signature_item: $ => seq(
+      optional($.visibility_modifier),
+      prec.dynamic(1, field('safety', choice('safe', 'unsafe'))),
+      optional($.function_modifiers),
+      'fn',
+      field('name', choice($.identifier, $.metavariable)),
+      field('type_parameters', optional($.type_parameters)),
+      field('parameters', $.parameters),
+      optional(seq('->', field('return_type', $._type))),
+      optional($.where_clause),
+      ';',
+    ),
+
     function_modifiers: $ => repeat1(choice(
       'async',
       'default',
@@ -478,6 +634,7 @@ module.exports = grammar({
         $.lifetime,
         $._type_identifier,
         $.scoped_type_identifier,
+        $.return_type_notation,
         $.generic_type,
         $.reference_type,
         $.pointer_type,
@@ -494,6 +651,7 @@ module.exports = grammar({
       'impl',
       field('type_parameters', optional($.type_parameters)),
       optional(seq(
+        optional('const'),
         optional('!'),
         field('trait', choice(
           $._type_identifier,
@@ -510,6 +668,7 @@ module.exports = grammar({
     trait_item: $ => seq(
       optional($.visibility_modifier),
       optional('unsafe'),
+      optional('auto'),
       'trait',
       field('name', $._type_identifier),
       field('type_parameters', optional($.type_parameters)),
@@ -518,24 +677,45 @@ module.exports = grammar({
       field('body', $.declaration_list),
     ),
 
-    associated_type: $ => seq(
+    // https://doc.rust-lang.org/unstable-book/language-features/trait-alias.html
+    trait_alias_item: $ => seq(
+      optional($.visibility_modifier),
+      'trait',
+      field('name', $._type_identifier),
+      field('type_parameters', optional($.type_parameters)),
+      '=',
+      field('bounds', alias($._trait_bound_list, $.trait_bounds)),
+      optional($.where_clause),
+      ';',
+    ),
+
+    // Without bounds, `type Name = Type;` is a `type_item`.
+    associated_type: $ => prec(-1, seq(
+      optional($.visibility_modifier),
       'type',
       field('name', $._type_identifier),
       field('type_parameters', optional($.type_parameters)),
       field('bounds', optional($.trait_bounds)),
       optional($.where_clause),
+      optional(seq(
+        '=',
+        field('default_type', $._type),
+        optional($.where_clause),
+      )),
       ';',
-    ),
+    )),
 
     trait_bounds: $ => seq(
       ':',
-      sepBy1('+', choice(
-        $._type,
-        $.lifetime,
-        $.higher_ranked_trait_bound,
-      )),
+      $._trait_bound_list,
     ),
 
+    _trait_bound_list: $ => sepBy1('+', choice(
+      $._type,
+      $.lifetime,
+      $.higher_ranked_trait_bound,
+    )),
+
     higher_ranked_trait_bound: $ => seq(
       'for',
       field('type_parameters', $.type_parameters),
@@ -547,6 +727,15 @@ module.exports = grammar({
       $._type,
     ),
 
+    // https://doc.rust-lang.org/unstable-book/language-features/const-trait-impl.html
+    const_trait_bound: $ => seq(
+      choice(
+        seq('~', 'const'),
+        seq('[', 'const', ']'),
+      ),
+      $._type,
+    ),
+
     type_parameters: $ => prec(1, seq(
       '<',
       sepBy1(',', seq(
@@ -740,6 +929,7 @@ module.exports = grammar({
       $.dynamic_type,
       $.bounded_type,
       $.removed_trait_bound,
+      $.const_trait_bound,
       alias(choice(...primitiveTypes), $.primitive_type),
     ),
 
@@ -859,6 +1049,7 @@ module.exports = grammar({
         choice(
           $._type,
           $.type_binding,
+          $.return_type_notation,
           $.lifetime,
           $._literal,
           $.block,
@@ -870,12 +1061,23 @@ module.exports = grammar({
     ),
 
     type_binding: $ => seq(
-      field('name', $._type_identifier),
+      field('name', choice($._type_identifier, $.return_type_notation)),
       field('type_arguments', optional($.type_arguments)),
       '=',
       field('type', $._type),
     ),
 
+    // https://rust-lang.github.io/rfcs/3654-return-type-notation.html
+    return_type_notation: $ => seq(
+      field('function', choice(
+        $._type_identifier,
+        $.scoped_type_identifier,
+      )),
+      '(',
+      '..',
+      ')',
+    ),
+
     reference_type: $ => seq(
       '&',
       optional($.lifetime),
@@ -931,10 +1133,13 @@ module.exports = grammar({
       $.type_cast_expression,
       $.call_expression,
       $.return_expression,
+      $.become_expression,
       $.yield_expression,
+      $.yeet_expression,
       $._literal,
       prec.left($.identifier),
       alias(choice(...primitiveTypes), $.identifier),
+      alias(choice(...formatMacroNames), $.identifier),
       prec.left($._reserved_identifier),
       $.self,
       $.scoped_identifier,
@@ -944,6 +1149,7 @@ module.exports = grammar({
       $.array_expression,
       $.tuple_expression,
       prec(1, $.macro_invocation),
+      alias($._format_macro_invocation, $.macro_invocation),
       $.unit_expression,
       $.break_expression,
       $.continue_expression,
@@ -984,6 +1190,60 @@ module.exports = grammar({
       alias($.delim_token_tree, $.token_tree),
     ),
 
+    // The names of the formatting macros are keywords, so that their arguments
+    // can be parsed instead of being left as a token tree. They are still plain
+    // identifiers everywhere else.
+    _format_macro_invocation: $ => choice(
+      seq(
+        field('macro', alias(choice(...formatMacros[0]), $.identifier)),
+        '!',
+        alias($._format_arguments_0, $.format_arguments),
+      ),
+      seq(
+        field('macro', alias(choice(...formatMacros[1]), $.identifier)),
+        '!',
+        alias($._format_arguments_1, $.format_arguments),
+      ),
+      seq(
+        field('macro', alias(choice(...formatMacros[2]), $.identifier)),
+        '!',
+        alias($._format_arguments_2, $.format_arguments),
+      ),
+    ),
+
+    _format_arguments_0: $ => formatArguments($, optional($._format_arguments)),
+
+    _format_arguments_1: $ => formatArguments($, seq(
+      $._expression,
+      optional(seq(',', optional($._format_arguments))),
+    )),
+
+    _format_arguments_2: $ => formatArguments($, seq(
+      $._expression,
+      ',',
+      $._expression,
+      optional(seq(',', optional($._format_arguments))),
+    )),
+
+    // A format string and its arguments, or any other expressions, as in
+    // `panic!(payload)` or `assert!(x, concat!("a", "b"))`.
+    _format_arguments: $ => seq(
+      choice(
+        seq(
+          field('format', $.format_string),
+          repeat(seq(',', choice($._expression, $.format_named_argument))),
+        ),
+        sepBy1(',', $._expression),
+      ),
+      optional(','),
+    ),
+
+    format_named_argument: $ => prec(1, seq(
+      field('name', $.identifier),
+      '=',
+      field('value', $._expression),
+    )),
+
     delim_token_tree: $ => choice(
       seq('(', repeat($._delim_tokens), ')'),
       seq('[', repeat($._delim_tokens), ']'),
@@ -1032,19 +1292,19 @@ module.exports = grammar({
     ),
 
     range_expression: $ => prec.left(PREC.range, choice(
-      seq($._expression, choice('..', '...', '..='), $._expression),
-      seq($._expression, '..'),
-      seq('..', $._expression),
+      seq(field('start', $._expression), choice('..', '...', '..='), field('end', $._expression)),
+      seq(field('start', $._expression), '..'),
+      seq('..', field('end', $._expression)),
       '..',
     )),
 
     unary_expression: $ => prec(PREC.unary, seq(
-      choice('-', '*', '!'),
-      $._expression,
+      field('operator', choice('-', '*', '!')),
+      field('operand', $._expression),
     )),
 
     try_expression: $ => prec(PREC.try, seq(
-      $._expression,
+      field('value', $._expression),
       '?',
     )),
 
@@ -1102,11 +1362,18 @@ module.exports = grammar({
       prec(-1, 'return'),
     ),
 
+    become_expression: $ => prec.left(seq('become', $._expression)),
+
     yield_expression: $ => choice(
       prec.left(seq('yield', $._expression)),
       prec(-1, 'yield'),
     ),
 
+    yeet_expression: $ => choice(
+      prec.left(seq('do', 'yeet', $._expression)),
+      prec(-1, seq('do', 'yeet')),
+    ),
+
     call_expression: $ => prec(PREC.call, seq(
       field('function', $._expression_except_range),
       field('arguments', $.arguments),
@@ -1138,7 +1405,7 @@ module.exports = grammar({
 
     parenthesized_expression: $ => seq(
       '(',
-      $._expression,
+      field('value', $._expression),
       ')',
     ),
 
@@ -1168,6 +1435,7 @@ module.exports = grammar({
         $.shorthand_field_initializer,
         $.field_initializer,
         $.base_field_initializer,
+        $.default_field_initializer,
       )),
       optional(','),
       '}',
@@ -1190,6 +1458,9 @@ module.exports = grammar({
       $._expression,
     ),
 
+    // https://rust-lang.github.io/rfcs/3681-default-field-values.html
+    default_field_initializer: _ => '..',
+
     if_expression: $ => prec.right(seq(
       'if',
       field('condition', $._condition),
@@ -1241,24 +1512,70 @@ module.exports = grammar({
       '}',
     ),
 
+    // Arms with a never pattern have no body.
     match_arm: $ => prec.right(seq(
       repeat(choice($.attribute_item, $.inner_attribute_item)),
-      field('pattern', $.match_pattern),
-      '=>',
       choice(
-        seq(field('value', $._expression), ','),
-        field('value', prec(1, $._expression_ending_with_block)),
+        seq(
+          field('pattern', $.match_pattern),
+          '=>',
+          choice(
+            seq(field('value', $._expression), ','),
+            field('value', prec(1, $._expression_ending_with_block)),
+          ),
+        ),
+        seq(field('pattern', alias($._never_arm_pattern, $.match_pattern)), ','),
       ),
     )),
 
     last_match_arm: $ => seq(
       repeat(choice($.attribute_item, $.inner_attribute_item)),
-      field('pattern', $.match_pattern),
-      '=>',
-      field('value', $._expression),
+      choice(
+        seq(field('pattern', $.match_pattern), '=>', field('value', $._expression)),
+        field('pattern', alias($._never_arm_pattern, $.match_pattern)),
+      ),
       optional(','),
     ),
 
+    // The pattern of an arm without a body, which has to contain a never
+    // pattern. It is made of the same nodes as any other pattern.
+    _never_arm_pattern: $ => choice(
+      $.never_pattern,
+      alias($._never_tuple_pattern, $.tuple_pattern),
+      alias($._never_slice_pattern, $.slice_pattern),
+      alias($._never_tuple_struct_pattern, $.tuple_struct_pattern),
+      alias($._never_reference_pattern, $.reference_pattern),
+    ),
+
+    _never_tuple_pattern: $ => seq(
+      '(',
+      neverElements($),
+      ')',
+    ),
+
+    _never_slice_pattern: $ => seq(
+      '[',
+      neverElements($),
+      ']',
+    ),
+
+    _never_tuple_struct_pattern: $ => seq(
+      field('type', choice(
+        $.identifier,
+        $.scoped_identifier,
+        alias($.generic_type_with_turbofish, $.generic_type),
+      )),
+      '(',
+      neverElements($),
+      ')',
+    ),
+
+    _never_reference_pattern: $ => seq(
+      '&',
+      optional($.mutable_specifier),
+      field('pattern', $._never_arm_pattern),
+    ),
+
     match_pattern: $ => seq(
       $._pattern,
       optional(seq('if', field('condition', $._condition))),
@@ -1292,6 +1609,8 @@ module.exports = grammar({
     ),
 
     closure_expression: $ => prec(PREC.closure, seq(
+      optional(field('binder', $.for_lifetimes)),
+      optional('const'),
       optional('static'),
       optional('async'),
       optional('move'),
@@ -1316,14 +1635,19 @@ module.exports = grammar({
 
     label: $ => seq('\'', $.identifier),
 
-    break_expression: $ => prec.left(seq('break', optional($.label), optional($._expression))),
+    break_expression: $ => prec.left(seq('break', optional($.label), optional(field('value', $._expression)))),
 
     continue_expression: $ => prec.left(seq('continue', optional($.label))),
 
-    index_expression: $ => prec(PREC.call, seq($._expression, '[', $._expression, ']')),
+    index_expression: $ => prec(PREC.call, seq(
+      field('value', $._expression),
+      '[',
+      field('index', $._expression),
+      ']',
+    )),
 
     await_expression: $ => prec(PREC.field, seq(
-      $._expression,
+      field('value', $._expression),
       '.',
       'await',
     )),
@@ -1339,31 +1663,31 @@ module.exports = grammar({
 
     unsafe_block: $ => seq(
       'unsafe',
-      $.block,
+      field('body', $.block),
     ),
 
     async_block: $ => seq(
       'async',
       optional('move'),
-      $.block,
+      field('body', $.block),
     ),
 
     gen_block: $ => seq(
       'gen',
       optional('move'),
-      $.block,
+      field('body', $.block),
     ),
 
     try_block: $ => seq(
       'try',
-      $.block,
+      field('body', $.block),
     ),
 
     block: $ => seq(
       optional(seq($.label, ':')),
       '{',
       repeat($._statement),
-      optional($._expression),
+      optional(field('tail', $._expression)),
       '}',
     ),
 
@@ -1372,6 +1696,8 @@ module.exports = grammar({
     _pattern: $ => choice(
       $._literal_pattern,
       alias(choice(...primitiveTypes), $.identifier),
+      alias(choice(...formatMacroNames), $.identifier),
+      alias('deref', $.identifier),
       $.identifier,
       $.scoped_identifier,
       $.generic_pattern,
@@ -1387,6 +1713,9 @@ module.exports = grammar({
       $.mut_pattern,
       $.range_pattern,
       $.or_pattern,
+      $.box_pattern,
+      $.deref_pattern,
+      $.never_pattern,
       $.const_block,
       $.macro_invocation,
       '_',
@@ -1403,7 +1732,7 @@ module.exports = grammar({
 
     tuple_pattern: $ => seq(
       '(',
-      sepBy(',', choice($._pattern, $.closure_expression)),
+      sepBy(',', choice($._pattern, $.guard_pattern, $.closure_expression)),
       optional(','),
       ')',
     ),
@@ -1455,7 +1784,7 @@ module.exports = grammar({
 
     mut_pattern: $ => prec(-1, seq(
       $.mutable_specifier,
-      $._pattern,
+      field('pattern', $._pattern),
     )),
 
     range_pattern: $ => choice(
@@ -1486,24 +1815,48 @@ module.exports = grammar({
 
     ref_pattern: $ => seq(
       'ref',
-      $._pattern,
+      field('pattern', $._pattern),
+    ),
+
+    box_pattern: $ => seq(
+      'box',
+      field('pattern', $._pattern),
+    ),
+
+    // https://doc.rust-lang.org/unstable-book/language-features/deref-patterns.html
+    deref_pattern: $ => seq(
+      'deref',
+      '!',
+      '(',
+      field('pattern', $._pattern),
+      ')',
+    ),
+
+    // https://doc.rust-lang.org/unstable-book/language-features/never-patterns.html
+    never_pattern: _ => '!',
+
+    // https://rust-lang.github.io/rfcs/3637-guard-patterns.html
+    guard_pattern: $ => seq(
+      field('pattern', $._pattern),
+      'if',
+      field('condition', $._condition),
     ),
 
     captured_pattern: $ => seq(
-      $.identifier,
+      field('name', $.identifier),
       '@',
-      $._pattern,
+      field('pattern', $._pattern),
     ),
 
     reference_pattern: $ => seq(
       '&',
       optional($.mutable_specifier),
-      $._pattern,
+      field('pattern', $._pattern),
     ),
 
     or_pattern: $ => prec.left(-2, choice(
-      seq($._pattern, '|', $._pattern),
-      seq('|', $._pattern),
+      seq(field('left', $._pattern), '|', field('right', $._pattern)),
+      seq('|', field('right', $._pattern)),
     )),
 
     // Section - Literals
@@ -1529,18 +1882,26 @@ module.exports = grammar({
 
     negative_literal: $ => seq('-', choice($.integer_literal, $.float_literal)),
 
-    integer_literal: _ => token(seq(
-      choice(
+    integer_literal: $ => seq(
+      token(choice(
         /[0-9][0-9_]*/,
         /0x[0-9a-fA-F_]+/,
         /0b[01_]+/,
         /0o[0-7_]+/,
-      ),
-      optional(choice(...numericTypes)),
-    )),
+      )),
+      optional(field('suffix', $.literal_suffix)),
+    ),
+
+    float_literal: $ => seq(
+      $._float_literal_value,
+      optional(field('suffix', $.literal_suffix)),
+    ),
+
+    literal_suffix: _ => token.immediate(prec(1, choice(...numericTypes))),
 
     string_literal: $ => seq(
-      alias(/[bc]?"/, '"'),
+      optional(field('prefix', $.literal_prefix)),
+      alias(/"/, '"'),
       repeat(choice(
         $.escape_sequence,
         $.string_content,
@@ -1548,26 +1909,53 @@ module.exports = grammar({
       token.immediate('"'),
     ),
 
+    format_string: $ => seq(
+      '"',
+      repeat(choice(
+        $.escape_sequence,
+        alias($._format_string_content, $.string_content),
+        alias(token.immediate(choice('{{', '}}')), $.escape_sequence),
+        $.format_placeholder,
+      )),
+      token.immediate('"'),
+    ),
+
+    // https://doc.rust-lang.org/std/fmt/index.html#syntax
+    format_placeholder: $ => seq(
+      token.immediate('{'),
+      optional(field('argument', choice($.identifier, $.integer_literal))),
+      optional(seq(
+        token.immediate(':'),
+        optional(field('format_spec', $.format_spec)),
+      )),
+      token.immediate('}'),
+    ),
+
+    format_spec: _ => token.immediate(/[^{}"]+/),
+
     raw_string_literal: $ => seq(
+      optional(field('prefix', $.literal_prefix)),
       $._raw_string_literal_start,
       alias($.raw_string_literal_content, $.string_content),
       $._raw_string_literal_end,
     ),
 
-    char_literal: _ => token(seq(
-      optional('b'),
-      '\'',
-      optional(choice(
-        seq('\\', choice(
-          /[^xu]/,
-          /u[0-9a-fA-F]{4}/,
-          /u\{[0-9a-fA-F]+\}/,
-          /x[0-9a-fA-F]{2}/,
+    char_literal: $ => seq(
+      optional(field('prefix', $.literal_prefix)),
+      token(seq(
+        '\'',
+        optional(choice(
+          seq('\\', choice(
+            /[^xu]/,
+            /u[0-9a-fA-F]{4}/,
+            /u\{[0-9a-fA-F]+\}/,
+            /x[0-9a-fA-F]{2}/,
+          )),
+          /[^\\']/,
         )),
-        /[^\\']/,
+        '\'',
       )),
-      '\'',
-    )),
+    ),
 
     escape_sequence: _ => token.immediate(
       seq('\\',
@@ -1636,6 +2024,7 @@ module.exports = grammar({
     _path: $ => choice(
       $.self,
       alias(choice(...primitiveTypes), $.identifier),
+      alias(choice(...formatMacroNames), $.identifier),
       $.metavariable,
       $.super,
       $.crate,
@@ -1648,11 +2037,23 @@ module.exports = grammar({
 
     shebang: _ => /#![\r\f\t\v ]*([^\[\n].*)?\n/,
 
+    // https://rust-lang.github.io/rfcs/3503-frontmatter.html
+    frontmatter: $ => seq(
+      $._frontmatter_start,
+      optional(field('infostring', $.frontmatter_infostring)),
+      optional(field('content', $.frontmatter_content)),
+      $._frontmatter_end,
+    ),
+
+    frontmatter_infostring: _ => /[^\s]+/,
+
     _reserved_identifier: $ => alias(choice(
       'default',
       'union',
       'gen',
       'raw',
+      'safe',
+      'auto',
     ), $.identifier),
 
     _type_identifier: $ => alias($.identifier, $.type_identifier),
@@ -1666,6 +2067,40 @@ module.exports = grammar({
   },
 });
 
+/**
+ * Creates a rule to match the arguments of a formatting macro in any of the
+ * three delimiters.
+ *
+ * @param {GrammarSymbols<string>} $ - The grammar's symbols.
+ * @param {RuleOrLiteral} rule - The arguments between the delimiters.
+ *
+ * @returns {ChoiceRule}
+ */
+function formatArguments($, rule) {
+  return choice(
+    seq('(', rule, ')'),
+    seq('[', rule, ']'),
+    seq('{', rule, '}'),
+  );
+}
+
+/**
+ * Creates a rule to match the elements of a pattern in the arm of a match
+ * without a body, at least one of which contains a never pattern.
+ *
+ * @param {GrammarSymbols<string>} $ - The grammar's symbols.
+ *
+ * @returns {SeqRule}
+ */
+function neverElements($) {
+  return seq(
+    repeat(seq($._pattern, ',')),
+    $._never_arm_pattern,
+    repeat(seq(',', $._pattern)),
+    optional(','),
+  );
+}
+
 /**
  * Creates a rule to match one or more of the rules separated by the separator.
  *
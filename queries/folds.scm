@@ -0,0 +1,18 @@
+[
+  (declaration_list)
+  (field_declaration_list)
+  (ordered_field_declaration_list)
+  (enum_variant_list)
+  (match_block)
+  (block)
+  (use_list)
+  (token_tree)
+  (meta_arguments)
+  (block_comment)
+] @fold
+
+; Runs of consecutive line comments (including `///` and `//!` docs) and
+; attributes fold as a single region.
+(line_comment)+ @fold
+
+(attribute_item)+ @fold
@@ -62,6 +62,23 @@
   macro: (identifier) @function.macro
   "!" @function.macro)
 
+(deref_pattern
+  "deref" @function.macro
+  "!" @function.macro)
+
+; Format strings
+
+(format_placeholder
+  "{" @punctuation.special
+  "}" @punctuation.special)
+(format_placeholder
+  ":" @punctuation.special)
+(format_placeholder
+  argument: (identifier) @variable)
+(format_spec) @string.special
+(format_named_argument
+  name: (identifier) @variable.parameter)
+
 ; Function definitions
 
 (function_item (identifier) @function)
@@ -99,11 +116,15 @@
 
 "as" @keyword
 "async" @keyword
+"auto" @keyword
 "await" @keyword
+"become" @keyword
+"box" @keyword
 "break" @keyword
 "const" @keyword
 "continue" @keyword
 "default" @keyword
+"do" @keyword
 "dyn" @keyword
 "else" @keyword
 "enum" @keyword
@@ -116,6 +137,7 @@
 "in" @keyword
 "let" @keyword
 "loop" @keyword
+"macro" @keyword
 "macro_rules!" @keyword
 "match" @keyword
 "mod" @keyword
@@ -124,6 +146,7 @@
 "raw" @keyword
 "ref" @keyword
 "return" @keyword
+"safe" @keyword
 "static" @keyword
 "struct" @keyword
 "trait" @keyword
@@ -134,6 +157,7 @@
 "where" @keyword
 "while" @keyword
 "yield" @keyword
+"yeet" @keyword
 (crate) @keyword
 (mutable_specifier) @keyword
 (use_list (self) @keyword)
@@ -143,8 +167,19 @@
 
 (self) @variable.builtin
 
+; Byte and C strings
+[
+  (string_literal
+    prefix: (literal_prefix))
+  (raw_string_literal
+    prefix: (literal_prefix))
+  (char_literal
+    prefix: (literal_prefix))
+] @string.special
+
 (char_literal) @string
 (string_literal) @string
+(format_string) @string
 (raw_string_literal) @string
 
 (boolean_literal) @constant.builtin
@@ -153,6 +188,8 @@
 
 (escape_sequence) @escape
 
+(unsafe_attribute
+  "unsafe" @keyword)
 (attribute_item) @attribute
 (inner_attribute_item) @attribute
 
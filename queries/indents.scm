@@ -0,0 +1,89 @@
+[
+  (block)
+  (match_block)
+  (declaration_list)
+  (field_declaration_list)
+  (ordered_field_declaration_list)
+  (enum_variant_list)
+  (field_initializer_list)
+  (use_list)
+  (arguments)
+  (parameters)
+  (closure_parameters)
+  (type_arguments)
+  (type_parameters)
+  (array_expression)
+  (tuple_expression)
+  (tuple_pattern)
+  (tuple_type)
+  (struct_pattern)
+  (slice_pattern)
+  (where_clause)
+  (token_tree)
+  (token_tree_pattern)
+  (token_repetition)
+  (meta_arguments)
+] @indent
+
+[
+  "}"
+  "]"
+  ")"
+] @outdent
+
+(type_arguments
+  ">" @outdent)
+
+(type_parameters
+  ">" @outdent)
+
+; Arguments and parameters that start on the same line as the opening
+; delimiter line up with the first one.
+(arguments
+  "("
+  .
+  (_) @anchor
+  (#set! "scope" "tail")) @align
+
+(parameters
+  "("
+  .
+  (_) @anchor
+  (#set! "scope" "tail")) @align
+
+; Method chains: each `.method()` on a continuation line is indented once
+; relative to the receiver.
+(field_expression
+  value: (_) @expr-start
+  "." @indent
+  (#not-same-line? @indent @expr-start)
+  (#set! "scope" "all"))
+
+; Unless the receiver itself ends in an opening delimiter, in which case
+; rustfmt keeps the chain at the receiver's indentation.
+(field_expression
+  value: (_) @val
+  "." @outdent
+  (#match? @val "(\\A[^\\n\\r]+(\\(|\\{|\\[)[\\t ]*(\\n|\\r))"))
+
+; Continuation lines of an assignment or initializer.
+(let_declaration
+  .
+  (_) @expr-start
+  value: (_) @indent
+  (#not-same-line? @indent @expr-start)
+  (#set! "scope" "all"))
+
+(assignment_expression
+  .
+  (_) @expr-start
+  right: (_) @indent
+  (#not-same-line? @indent @expr-start)
+  (#set! "scope" "all"))
+
+(compound_assignment_expr
+  .
+  (_) @expr-start
+  right: (_) @indent
+  (#not-same-line? @indent @expr-start)
+  (#set! "scope" "all"))
@@ -7,3 +7,153 @@
   (token_tree) @injection.content)
  (#set! injection.language "rust")
  (#set! injection.include-children))
+
+((decl_macro_definition
+  body: (token_tree) @injection.content)
+ (#set! injection.language "rust")
+ (#set! injection.include-children))
+
+; Doc comments are Markdown. All of them are combined into one document so that
+; constructs spanning several `///` lines, like lists and fenced code blocks,
+; parse as a whole.
+;
+; Code blocks inside are left to the Markdown grammar's own injections, which
+; pick the language from the info string, so ```rust is parsed as Rust.
+
+((line_comment
+  doc: (doc_comment) @injection.content)
+ (#set! injection.language "markdown")
+ (#set! injection.combined))
+
+; Untagged fences, which the Markdown grammar leaves alone, are Rust to
+; rustdoc. A query can't tell an untagged opening fence from a closing one, as
+; both are a bare ```, so only the first code block of a run of `///` or `//!`
+; lines, with no fence above it, is injected; one after it could be the prose
+; between two code blocks. A run either starts the children of its parent or
+; follows a node that isn't part of it.
+
+((_
+  .
+  (line_comment
+    outer: (outer_doc_comment_marker)
+    doc: (doc_comment) @_before)*
+  .
+  (line_comment
+    outer: (outer_doc_comment_marker)
+    doc: (doc_comment) @_open)
+  .
+  (line_comment
+    outer: (outer_doc_comment_marker)
+    doc: (doc_comment) @injection.content)+
+  .
+  (line_comment
+    outer: (outer_doc_comment_marker)
+    doc: (doc_comment) @_close))
+ (#not-match? @_before "^\\s*```")
+ (#match? @_open "^\\s*```\\s*$")
+ (#not-match? @injection.content "^\\s*```")
+ (#match? @_close "^\\s*```\\s*$")
+ (#set! injection.language "rust")
+ (#set! injection.combined))
+
+((_
+  .
+  (line_comment
+    inner: (inner_doc_comment_marker)
+    doc: (doc_comment) @_before)*
+  .
+  (line_comment
+    inner: (inner_doc_comment_marker)
+    doc: (doc_comment) @_open)
+  .
+  (line_comment
+    inner: (inner_doc_comment_marker)
+    doc: (doc_comment) @injection.content)+
+  .
+  (line_comment
+    inner: (inner_doc_comment_marker)
+    doc: (doc_comment) @_close))
+ (#not-match? @_before "^\\s*```")
+ (#match? @_open "^\\s*```\\s*$")
+ (#not-match? @injection.content "^\\s*```")
+ (#match? @_close "^\\s*```\\s*$")
+ (#set! injection.language "rust")
+ (#set! injection.combined))
+
+((_) @_previous
+ .
+ (line_comment
+   outer: (outer_doc_comment_marker)
+   doc: (doc_comment) @_before)*
+ .
+ (line_comment
+   outer: (outer_doc_comment_marker)
+   doc: (doc_comment) @_open)
+ .
+ (line_comment
+   outer: (outer_doc_comment_marker)
+   doc: (doc_comment) @injection.content)+
+ .
+ (line_comment
+   outer: (outer_doc_comment_marker)
+   doc: (doc_comment) @_close)
+ (#not-match? @_previous "^///")
+ (#not-match? @_before "^\\s*```")
+ (#match? @_open "^\\s*```\\s*$")
+ (#not-match? @injection.content "^\\s*```")
+ (#match? @_close "^\\s*```\\s*$")
+ (#set! injection.language "rust")
+ (#set! injection.combined))
+
+((_) @_previous
+ .
+ (line_comment
+   inner: (inner_doc_comment_marker)
+   doc: (doc_comment) @_before)*
+ .
+ (line_comment
+   inner: (inner_doc_comment_marker)
+   doc: (doc_comment) @_open)
+ .
+ (line_comment
+   inner: (inner_doc_comment_marker)
+   doc: (doc_comment) @injection.content)+
+ .
+ (line_comment
+   inner: (inner_doc_comment_marker)
+   doc: (doc_comment) @_close)
+ (#not-match? @_previous "^//!")
+ (#not-match? @_before "^\\s*```")
+ (#match? @_open "^\\s*```\\s*$")
+ (#not-match? @injection.content "^\\s*```")
+ (#match? @_close "^\\s*```\\s*$")
+ (#set! injection.language "rust")
+ (#set! injection.combined))
+
+; `#[doc = "..."]` and `#![doc = "..."]` are equivalent to doc comments.
+
+((attribute
+  (identifier) @_doc
+  value: [
+    (string_literal
+      (string_content) @injection.content)
+    (raw_string_literal
+      (string_content) @injection.content)
+  ])
+ (#eq? @_doc "doc")
+ (#set! injection.language "markdown")
+ (#set! injection.combined))
+
+; Cargo script frontmatter is a TOML manifest, unless its infostring names
+; another format.
+
+((frontmatter
+  !infostring
+  content: (frontmatter_content) @injection.content)
+ (#set! injection.language "toml"))
+
+((frontmatter
+  infostring: (frontmatter_infostring) @_infostring
+  content: (frontmatter_content) @injection.content)
+ (#eq? @_infostring "cargo")
+ (#set! injection.language "toml"))
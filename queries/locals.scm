@@ -0,0 +1,142 @@
+; Scopes
+
+[
+  (block)
+  (function_item)
+  (function_signature_item)
+  (closure_expression)
+  (match_arm)
+  (for_expression)
+  (impl_item)
+  (trait_item)
+  (trait_alias_item)
+  (struct_item)
+  (enum_item)
+  (union_item)
+  (type_item)
+] @local.scope
+
+; `if let` and `while let` bindings are visible in the consequence/body, so the
+; whole expression has to be the scope.
+(if_expression
+  condition: [
+    (let_condition)
+    (let_chain)
+  ]) @local.scope
+
+(while_expression
+  condition: [
+    (let_condition)
+    (let_chain)
+  ]) @local.scope
+
+; Definitions
+
+(let_declaration
+  pattern: (identifier) @local.definition)
+
+(let_condition
+  pattern: (identifier) @local.definition)
+
+(for_expression
+  pattern: (identifier) @local.definition)
+
+(match_pattern
+  .
+  (identifier) @local.definition)
+
+(parameter
+  pattern: (identifier) @local.definition)
+
+(variadic_parameter
+  pattern: (identifier) @local.definition)
+
+(self_parameter
+  (self) @local.definition)
+
+(closure_parameters
+  (identifier) @local.definition)
+
+; Bindings nested inside other patterns
+
+(tuple_pattern
+  (identifier) @local.definition)
+
+(tuple_struct_pattern
+  "("
+  (identifier) @local.definition)
+
+(slice_pattern
+  (identifier) @local.definition)
+
+(or_pattern
+  (identifier) @local.definition)
+
+(ref_pattern
+  pattern: (identifier) @local.definition)
+
+(mut_pattern
+  pattern: (identifier) @local.definition)
+
+(reference_pattern
+  pattern: (identifier) @local.definition)
+
+(box_pattern
+  pattern: (identifier) @local.definition)
+
+(deref_pattern
+  pattern: (identifier) @local.definition)
+
+(guard_pattern
+  pattern: (identifier) @local.definition)
+
+(captured_pattern
+  name: (identifier) @local.definition)
+
+(captured_pattern
+  pattern: (identifier) @local.definition)
+
+(field_pattern
+  name: (shorthand_field_identifier) @local.definition)
+
+(field_pattern
+  pattern: (identifier) @local.definition)
+
+; Generic parameters
+
+(type_parameter
+  name: (type_identifier) @local.definition)
+
+(lifetime_parameter
+  name: (lifetime) @local.definition)
+
+(const_parameter
+  name: (identifier) @local.definition)
+
+; Labels
+
+(loop_expression
+  (label) @local.definition)
+
+(while_expression
+  (label) @local.definition)
+
+(for_expression
+  (label) @local.definition)
+
+(block
+  (label) @local.definition)
+
+; References
+
+(identifier) @local.reference
+
+(type_identifier) @local.reference
+
+(lifetime) @local.reference
+
+(break_expression
+  (label) @local.reference)
+
+(continue_expression
+  (label) @local.reference)
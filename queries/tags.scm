@@ -1,42 +1,251 @@
+; Each definition picks up the run of `///` doc comments directly above it
+; (ignoring any attributes in between) as its @doc. `#select-adjacent!` keeps
+; the doc comments of an earlier item out of it.
+
 ; ADT definitions
 
-(struct_item
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (struct_item
     name: (type_identifier) @name) @definition.class
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.class)
+)
 
-(enum_item
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (enum_item
     name: (type_identifier) @name) @definition.class
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.class)
+)
 
-(union_item
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (union_item
     name: (type_identifier) @name) @definition.class
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.class)
+)
+
+; enum variants and fields
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (enum_variant
+    name: (identifier) @name) @definition.enum_variant
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.enum_variant)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (field_declaration
+    name: (field_identifier) @name) @definition.field
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.field)
+)
 
 ; type aliases
 
-(type_item
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (type_item
     name: (type_identifier) @name) @definition.class
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.class)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (associated_type
+    name: (type_identifier) @name) @definition.type
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.type)
+)
+
+; constants and statics
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (const_item
+    name: (identifier) @name) @definition.constant
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.constant)
+)
 
-; method definitions
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (static_item
+    name: (identifier) @name) @definition.constant
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.constant)
+)
+
+; method definitions, including required methods in traits
 
 (declaration_list
-    (function_item
-        name: (identifier) @name) @definition.method)
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (function_item
+    name: (identifier) @name) @definition.method
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.method))
+
+(trait_item
+  body: (declaration_list
+    (line_comment
+      outer: (outer_doc_comment_marker))* @doc
+    .
+    (attribute_item)*
+    .
+    (function_signature_item
+      name: (identifier) @name) @definition.method
+    (#strip! @doc "^///\\s?|\\s+$")
+    (#select-adjacent! @doc @definition.method)))
 
-; function definitions
+; function definitions, including foreign functions in `extern` blocks
 
-(function_item
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (function_item
     name: (identifier) @name) @definition.function
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.function)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (function_signature_item
+    name: (identifier) @name) @definition.function
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.function)
+)
 
 ; trait definitions
-(trait_item
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (trait_item
     name: (type_identifier) @name) @definition.interface
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.interface)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (trait_alias_item
+    name: (type_identifier) @name) @definition.interface
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.interface)
+)
 
 ; module definitions
-(mod_item
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (mod_item
     name: (identifier) @name) @definition.module
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.module)
+)
+
+(extern_crate_declaration
+    name: (identifier) @name
+    !alias) @definition.module
+
+(extern_crate_declaration
+    alias: (identifier) @name) @definition.module
+
+; imports renamed with `as`
+
+(use_as_clause
+    alias: (identifier) @name) @definition.alias
 
 ; macro definitions
 
-(macro_definition
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (macro_definition
     name: (identifier) @name) @definition.macro
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.macro)
+)
+
+(
+  (line_comment
+    outer: (outer_doc_comment_marker))* @doc
+  .
+  (attribute_item)*
+  .
+  (decl_macro_definition
+    name: (identifier) @name) @definition.macro
+  (#strip! @doc "^///\\s?|\\s+$")
+  (#select-adjacent! @doc @definition.macro)
+)
 
 ; references
 
@@ -47,14 +256,42 @@
     function: (field_expression
         field: (field_identifier) @name)) @reference.call
 
+(call_expression
+    function: (scoped_identifier
+        name: (identifier) @name)) @reference.call
+
 (macro_invocation
     macro: (identifier) @name) @reference.call
 
+(macro_invocation
+    macro: (scoped_identifier
+        name: (identifier) @name)) @reference.call
+
 ; implementations
 
 (impl_item
-    trait: (type_identifier) @name) @reference.implementation
+    trait: [
+        (type_identifier) @name
+        (scoped_type_identifier
+            name: (type_identifier) @name)
+        (generic_type
+            type: [
+                (type_identifier) @name
+                (scoped_type_identifier
+                    name: (type_identifier) @name)
+            ])
+    ]) @reference.implementation
 
 (impl_item
-    type: (type_identifier) @name
+    type: [
+        (type_identifier) @name
+        (scoped_type_identifier
+            name: (type_identifier) @name)
+        (generic_type
+            type: [
+                (type_identifier) @name
+                (scoped_type_identifier
+                    name: (type_identifier) @name)
+            ])
+    ]
     !trait) @reference.implementation
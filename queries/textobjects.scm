@@ -0,0 +1,307 @@
+; Inner objects cover everything between the delimiters of the body; a capture
+; that appears more than once in a match spans from its first node to its last.
+
+; Functions
+
+(function_item
+  body: (block
+    .
+    (_) @function.inner
+    (_)* @function.inner
+    .)) @function.outer
+
+[
+  (function_item)
+  (function_signature_item)
+] @function.outer
+
+(closure_expression
+  body: (_) @function.inner) @function.outer
+
+; Classes
+
+(struct_item
+  body: (field_declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(struct_item
+  body: (ordered_field_declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(enum_item
+  body: (enum_variant_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(union_item
+  body: (field_declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(trait_item
+  body: (declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+(impl_item
+  body: (declaration_list
+    .
+    (_) @class.inner
+    (_)* @class.inner
+    .)) @class.outer
+
+[
+  (struct_item)
+  (enum_item)
+  (union_item)
+  (trait_item)
+  (impl_item)
+] @class.outer
+
+; Parameters and arguments: the outer object includes the separating comma,
+; which is the trailing one for the first element and the preceding one for
+; every other element.
+
+(parameters
+  "," @parameter.outer
+  .
+  [
+    (parameter)
+    (self_parameter)
+    (variadic_parameter)
+    (_type)
+  ] @parameter.inner @parameter.outer)
+
+(parameters
+  .
+  [
+    (parameter)
+    (self_parameter)
+    (variadic_parameter)
+    (_type)
+  ] @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(parameters
+  .
+  [
+    (parameter)
+    (self_parameter)
+    (variadic_parameter)
+    (_type)
+  ] @parameter.inner @parameter.outer
+  .
+  ")")
+
+(closure_parameters
+  "," @parameter.outer
+  .
+  (_) @parameter.inner @parameter.outer)
+
+(closure_parameters
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(closure_parameters
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "|")
+
+(arguments
+  "," @parameter.outer
+  .
+  (_) @parameter.inner @parameter.outer)
+
+(arguments
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(arguments
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  ")")
+
+(type_arguments
+  "," @parameter.outer
+  .
+  (_) @parameter.inner @parameter.outer)
+
+(type_arguments
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(type_arguments
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  ">")
+
+(type_parameters
+  "," @parameter.outer
+  .
+  (_) @parameter.inner @parameter.outer)
+
+(type_parameters
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  "," @parameter.outer)
+
+(type_parameters
+  .
+  (_) @parameter.inner @parameter.outer
+  .
+  ">")
+
+; Calls
+
+(call_expression
+  arguments: (arguments
+    .
+    (_) @call.inner
+    (_)* @call.inner
+    .)) @call.outer
+
+(call_expression) @call.outer
+
+(macro_invocation
+  (token_tree
+    .
+    (_) @call.inner
+    (_)* @call.inner
+    .)) @call.outer
+
+(macro_invocation
+  (format_arguments
+    .
+    (_) @call.inner
+    (_)* @call.inner
+    .)) @call.outer
+
+(macro_invocation) @call.outer
+
+; Comments
+
+(line_comment
+  doc: (doc_comment) @comment.inner) @comment.outer
+
+(block_comment
+  doc: (doc_comment) @comment.inner) @comment.outer
+
+[
+  (line_comment)
+  (block_comment)
+] @comment.outer
+
+; Tests: functions annotated with `#[test]` or a `#[...::test]` attribute
+; such as `#[tokio::test]`.
+
+((attribute_item
+  (attribute
+    [
+      (identifier) @_attribute
+      (scoped_identifier
+        name: (identifier) @_attribute)
+    ]))
+  .
+  [
+    (attribute_item)
+    (line_comment)
+    (block_comment)
+  ]*
+  .
+  (function_item
+    body: (block
+      .
+      (_) @test.inner
+      (_)* @test.inner
+      .)) @test.outer
+  (#eq? @_attribute "test"))
+
+((attribute_item
+  (attribute
+    [
+      (identifier) @_attribute
+      (scoped_identifier
+        name: (identifier) @_attribute)
+    ]))
+  .
+  [
+    (attribute_item)
+    (line_comment)
+    (block_comment)
+  ]*
+  .
+  (function_item) @test.outer
+  (#eq? @_attribute "test"))
+
+; Loops
+
+(loop_expression
+  body: (block
+    .
+    (_) @loop.inner
+    (_)* @loop.inner
+    .)) @loop.outer
+
+(while_expression
+  body: (block
+    .
+    (_) @loop.inner
+    (_)* @loop.inner
+    .)) @loop.outer
+
+(for_expression
+  body: (block
+    .
+    (_) @loop.inner
+    (_)* @loop.inner
+    .)) @loop.outer
+
+[
+  (loop_expression)
+  (while_expression)
+  (for_expression)
+] @loop.outer
+
+; Conditionals
+
+(if_expression
+  consequence: (block
+    .
+    (_) @conditional.inner
+    (_)* @conditional.inner
+    .)) @conditional.outer
+
+(match_expression
+  body: (match_block
+    .
+    (_) @conditional.inner
+    (_)* @conditional.inner
+    .)) @conditional.outer
+
+[
+  (if_expression)
+  (match_expression)
+] @conditional.outer
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+// Generates `bindings/node/queries.js` from the files in `queries/`, so that
+// the Node binding embeds the query sources instead of reading them from a
+// path relative to the package at runtime, which bundlers and
+// `bun build --compile` can't follow.
+//
+// Run it with `npm run generate-queries` after editing a query.
+
+const { readdirSync, readFileSync, writeFileSync } = require("node:fs");
+const { basename, join } = require("node:path");
+
+const root = join(__dirname, "..");
+const output = join(root, "bindings", "node", "queries.js");
+
+function templateLiteral(source) {
+  return `\`${source.replace(/[\\`]|\$\{/g, (match) => `\\${match}`)}\``;
+}
+
+// Takes the sources keyed by the name of their file in `queries/`.
+function generate(sources) {
+  const lines = [
+    "// This file is generated by script/generate-queries.js from queries/*.scm.",
+    "// Do not edit it by hand.",
+    "",
+    "module.exports = {",
+  ];
+  for (const [name, source] of Object.entries(sources)) {
+    lines.push(`  ${name}: ${templateLiteral(source)},`);
+  }
+  lines.push("};", "");
+  return lines.join("\n");
+}
+
+function readQueries() {
+  const sources = {};
+  for (const file of readdirSync(join(root, "queries")).sort()) {
+    if (file.endsWith(".scm")) sources[basename(file, ".scm")] = readFileSync(join(root, "queries", file), "utf8");
+  }
+  return sources;
+}
+
+module.exports = { generate, readQueries, output };
+
+if (require.main === module) {
+  writeFileSync(output, generate(readQueries()));
+}
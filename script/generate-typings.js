@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+// Generates `bindings/node/syntax.d.ts` from `src/node-types.json`: one
+// interface per named node kind, with its field accessors typed by the kinds
+// the field can hold, and a union type per supertype.
+//
+// Run it with `npm run generate-typings` after regenerating the parser.
+
+const { readFileSync, writeFileSync } = require("node:fs");
+const { join } = require("node:path");
+
+const root = join(__dirname, "..");
+const output = join(root, "bindings", "node", "syntax.d.ts");
+
+// Mirrors the naming used by `tree-sitter` for node classes and field getters,
+// so that the generated names match the properties that exist at runtime.
+function camelCase(name, upperCase) {
+  name = name.replace(/_(\w)/g, (_match, letter) => letter.toUpperCase());
+  if (upperCase) name = name[0].toUpperCase() + name.slice(1);
+  return name;
+}
+
+function interfaceName(kind) {
+  return `${camelCase(kind, true)}Node`;
+}
+
+function unionOf(types) {
+  const named = types.filter((type) => type.named).map((type) => interfaceName(type.type)).sort();
+  const unnamed = types.filter((type) => !type.named).map((type) => JSON.stringify(type.type)).sort();
+  if (unnamed.length > 0) named.push(`UnnamedNode<${unnamed.join(" | ")}>`);
+  return named.join(" | ");
+}
+
+function generate(nodeTypes) {
+  const named = nodeTypes.filter((type) => type.named);
+  const names = new Map();
+  for (const { type } of named) {
+    const name = interfaceName(type);
+    if (names.has(name)) {
+      throw new Error(`Node kinds \`${names.get(name)}\` and \`${type}\` both map to \`${name}\``);
+    }
+    names.set(name, type);
+  }
+
+  const lines = [
+    "// This file is generated by script/generate-typings.js from src/node-types.json.",
+    "// Do not edit it by hand.",
+    "",
+    'import type { NodeLike } from "./lsp";',
+    "",
+    // `tree-sitter` is an optional dependency, so nodes extend the parts that
+    // nodes of both it and `web-tree-sitter` have.
+    "/** The parts of a syntax node that nodes of `tree-sitter` and `web-tree-sitter` have. */",
+    "export interface SyntaxNode extends NodeLike {",
+    "  readonly id: number;",
+    "  readonly typeId: number;",
+    "  readonly grammarType: string;",
+    "  readonly isMissing: boolean;",
+    "  readonly isExtra: boolean;",
+    "  readonly isError: boolean;",
+    "  readonly hasError: boolean;",
+    "  readonly hasChanges: boolean;",
+    "  readonly startIndex: number;",
+    "  readonly endIndex: number;",
+    "  readonly parent: SyntaxNode | null;",
+    "  readonly children: readonly (SyntaxNode | null)[];",
+    "  readonly namedChildren: readonly (SyntaxNode | null)[];",
+    "  readonly childCount: number;",
+    "  readonly namedChildCount: number;",
+    "  readonly firstChild: SyntaxNode | null;",
+    "  readonly lastChild: SyntaxNode | null;",
+    "  readonly firstNamedChild: SyntaxNode | null;",
+    "  readonly lastNamedChild: SyntaxNode | null;",
+    "  readonly nextSibling: SyntaxNode | null;",
+    "  readonly previousSibling: SyntaxNode | null;",
+    "  readonly nextNamedSibling: SyntaxNode | null;",
+    "  readonly previousNamedSibling: SyntaxNode | null;",
+    "  child(index: number): SyntaxNode | null;",
+    "  namedChild(index: number): SyntaxNode | null;",
+    "  childForFieldName(fieldName: string): SyntaxNode | null;",
+    "  childrenForFieldName(fieldName: string): readonly (SyntaxNode | null)[];",
+    "  descendantForPosition(position: { row: number; column: number }): SyntaxNode | null;",
+    "  toString(): string;",
+    "}",
+    "",
+    "/** An anonymous node, such as a keyword or a punctuation token. */",
+    "export interface UnnamedNode<T extends string = string> extends SyntaxNode {",
+    "  readonly type: T;",
+    "  readonly isNamed: false;",
+    "}",
+  ];
+
+  for (const { type, subtypes } of named.filter((type) => type.subtypes)) {
+    lines.push(
+      "",
+      `/** A node in the \`${type}\` supertype. */`,
+      `export type ${interfaceName(type)} = ${unionOf(subtypes)};`,
+    );
+  }
+
+  for (const { type, fields = {} } of named.filter((type) => !type.subtypes)) {
+    const accessors = [];
+    const single = [];
+    const multiple = [];
+    for (const [field, { multiple: isMultiple, required, types }] of Object.entries(fields)) {
+      const union = unionOf(types);
+      if (isMultiple) {
+        accessors.push(`  readonly ${camelCase(field)}Nodes: Array<${union}>;`);
+        multiple.push(`  childrenForFieldName(fieldName: ${JSON.stringify(field)}): Array<${union}>;`);
+      } else {
+        const result = required ? union : `${union} | null`;
+        accessors.push(`  readonly ${camelCase(field)}Node: ${result};`);
+        single.push(`  childForFieldName(fieldName: ${JSON.stringify(field)}): ${result};`);
+      }
+    }
+    if (single.length > 0) single.push("  childForFieldName(fieldName: string): SyntaxNode | null;");
+    if (multiple.length > 0) multiple.push("  childrenForFieldName(fieldName: string): Array<SyntaxNode>;");
+
+    lines.push(
+      "",
+      `export interface ${interfaceName(type)} extends SyntaxNode {`,
+      `  readonly type: ${JSON.stringify(type)};`,
+      "  readonly isNamed: true;",
+      ...accessors,
+      ...single,
+      ...multiple,
+      "}",
+    );
+  }
+
+  lines.push(
+    "",
+    "/** Maps each named node kind and each supertype to the type of its nodes. */",
+    "export interface NodeKindMap {",
+    ...named.map(({ type }) => `  ${type}: ${interfaceName(type)};`),
+    "}",
+    "",
+    "/** The name of a named node kind or of a supertype. */",
+    "export type NodeKind = keyof NodeKindMap;",
+    "",
+    "/** Any named node. */",
+    `export type NamedNode = ${unionOf(named.filter((type) => !type.subtypes))};`,
+    "",
+  );
+
+  return lines.join("\n");
+}
+
+module.exports = { generate, output };
+
+if (require.main === module) {
+  const nodeTypes = JSON.parse(readFileSync(join(root, "src", "node-types.json"), "utf8"));
+  writeFileSync(output, generate(nodeTypes));
+}
@@ -13,11 +13,17 @@ enum TokenType {
     BLOCK_INNER_DOC_MARKER,
     BLOCK_COMMENT_CONTENT,
     LINE_DOC_CONTENT,
+    FORMAT_STRING_CONTENT,
+    FRONTMATTER_START,
+    FRONTMATTER_CONTENT,
+    FRONTMATTER_END,
+    LITERAL_PREFIX,
     ERROR_SENTINEL
 };
 
 typedef struct {
     uint8_t opening_hash_count;
+    uint8_t frontmatter_dash_count;
 } Scanner;
 
 void *tree_sitter_rust_external_scanner_create() { return ts_calloc(1, sizeof(Scanner)); }
@@ -27,15 +33,17 @@ void tree_sitter_rust_external_scanner_destroy(void *payload) { ts_free((Scanner
 unsigned tree_sitter_rust_external_scanner_serialize(void *payload, char *buffer) {
     Scanner *scanner = (Scanner *)payload;
     buffer[0] = (char)scanner->opening_hash_count;
-    return 1;
+    buffer[1] = (char)scanner->frontmatter_dash_count;
+    return 2;
 }
 
 void tree_sitter_rust_external_scanner_deserialize(void *payload, const char *buffer, unsigned length) {
     Scanner *scanner = (Scanner *)payload;
     scanner->opening_hash_count = 0;
-    if (length == 1) {
-        Scanner *scanner = (Scanner *)payload;
+    scanner->frontmatter_dash_count = 0;
+    if (length == 2) {
         scanner->opening_hash_count = buffer[0];
+        scanner->frontmatter_dash_count = buffer[1];
     }
 }
 
@@ -45,31 +53,49 @@ static inline void advance(TSLexer *lexer) { lexer->advance(lexer, false); }
 
 static inline void skip(TSLexer *lexer) { lexer->advance(lexer, true); }
 
-static inline bool process_string(TSLexer *lexer) {
+static inline bool process_string(TSLexer *lexer, enum TokenType symbol) {
     bool has_content = false;
     for (;;) {
         if (lexer->lookahead == '\"' || lexer->lookahead == '\\') {
             break;
         }
+        // Braces start and end placeholders in format strings
+        if (symbol == FORMAT_STRING_CONTENT && (lexer->lookahead == '{' || lexer->lookahead == '}')) {
+            break;
+        }
         if (lexer->eof(lexer)) {
             return false;
         }
         has_content = true;
         advance(lexer);
     }
-    lexer->result_symbol = STRING_CONTENT;
+    lexer->result_symbol = symbol;
     lexer->mark_end(lexer);
     return has_content;
 }
 
-static inline bool scan_raw_string_start(Scanner *scanner, TSLexer *lexer) {
-    if (lexer->lookahead == 'b' || lexer->lookahead == 'c') {
-        advance(lexer);
+// Scans the `b` or `c` in front of a string, raw string or character literal.
+static inline bool scan_literal_prefix(TSLexer *lexer) {
+    bool is_byte = lexer->lookahead == 'b';
+    advance(lexer);
+    lexer->mark_end(lexer);
+    lexer->result_symbol = LITERAL_PREFIX;
+
+    if (lexer->lookahead == '"' || (is_byte && lexer->lookahead == '\'')) {
+        return true;
     }
     if (lexer->lookahead != 'r') {
         return false;
     }
     advance(lexer);
+    while (lexer->lookahead == '#') {
+        advance(lexer);
+    }
+    return lexer->lookahead == '"';
+}
+
+static inline bool scan_raw_string_start(Scanner *scanner, TSLexer *lexer) {
+    advance(lexer);
 
     uint8_t opening_hash_count = 0;
     while (lexer->lookahead == '#') {
@@ -119,6 +145,72 @@ static inline bool scan_raw_string_end(Scanner *scanner, TSLexer *lexer) {
     return true;
 }
 
+static inline bool scan_frontmatter_start(Scanner *scanner, TSLexer *lexer) {
+    uint8_t dash_count = 0;
+    while (lexer->lookahead == '-' && dash_count < UINT8_MAX) {
+        advance(lexer);
+        dash_count++;
+    }
+
+    if (dash_count < 3) {
+        return false;
+    }
+    scanner->frontmatter_dash_count = dash_count;
+
+    lexer->result_symbol = FRONTMATTER_START;
+    return true;
+}
+
+static inline bool is_horizontal_space(int32_t c) { return c == ' ' || c == '\t' || c == '\r'; }
+
+// Scans the lines between the opening and closing fences as one content token,
+// or the closing fence itself, which has as many dashes as the opening one.
+static inline bool scan_frontmatter_body(Scanner *scanner, TSLexer *lexer, const bool *valid_symbols) {
+    while (is_horizontal_space(lexer->lookahead)) {
+        skip(lexer);
+    }
+    if (lexer->lookahead == '\n') {
+        skip(lexer);
+    } else if (lexer->get_column(lexer) != 0) {
+        // An infostring follows the opening fence.
+        return false;
+    }
+
+    bool has_content = false;
+    for (;;) {
+        lexer->mark_end(lexer);
+
+        unsigned dash_count = 0;
+        while (lexer->lookahead == '-') {
+            advance(lexer);
+            dash_count++;
+        }
+        if (dash_count == scanner->frontmatter_dash_count) {
+            while (is_horizontal_space(lexer->lookahead)) {
+                advance(lexer);
+            }
+            if (lexer->lookahead == '\n' || lexer->eof(lexer)) {
+                if (has_content) {
+                    lexer->result_symbol = FRONTMATTER_CONTENT;
+                    return valid_symbols[FRONTMATTER_CONTENT];
+                }
+                lexer->mark_end(lexer);
+                lexer->result_symbol = FRONTMATTER_END;
+                return valid_symbols[FRONTMATTER_END];
+            }
+        }
+
+        while (lexer->lookahead != '\n') {
+            if (lexer->eof(lexer)) {
+                return false;
+            }
+            advance(lexer);
+        }
+        advance(lexer);
+        has_content = true;
+    }
+}
+
 static inline bool process_float_literal(TSLexer *lexer) {
     lexer->result_symbol = FLOAT_LITERAL;
 
@@ -164,24 +256,7 @@ static inline bool process_float_literal(TSLexer *lexer) {
         lexer->mark_end(lexer);
     }
 
-    if (!has_exponent && !has_fraction) {
-        return false;
-    }
-
-    if (lexer->lookahead != 'u' && lexer->lookahead != 'i' && lexer->lookahead != 'f') {
-        return true;
-    }
-    advance(lexer);
-    if (!iswdigit(lexer->lookahead)) {
-        return true;
-    }
-
-    while (iswdigit(lexer->lookahead)) {
-        advance(lexer);
-    }
-
-    lexer->mark_end(lexer);
-    return true;
+    return has_exponent || has_fraction;
 }
 
 static inline bool process_line_doc_content(TSLexer *lexer) {
@@ -361,19 +436,34 @@ bool tree_sitter_rust_external_scanner_scan(void *payload, TSLexer *lexer, const
     }
 
     if (valid_symbols[STRING_CONTENT] && !valid_symbols[FLOAT_LITERAL]) {
-        return process_string(lexer);
+        return process_string(lexer, STRING_CONTENT);
+    }
+
+    if (valid_symbols[FORMAT_STRING_CONTENT]) {
+        return process_string(lexer, FORMAT_STRING_CONTENT);
     }
 
     if (valid_symbols[LINE_DOC_CONTENT]) {
         return process_line_doc_content(lexer);
     }
 
+    if (valid_symbols[FRONTMATTER_CONTENT] || valid_symbols[FRONTMATTER_END]) {
+        return scan_frontmatter_body(scanner, lexer, valid_symbols);
+    }
+
     while (iswspace(lexer->lookahead)) {
         skip(lexer);
     }
 
-    if (valid_symbols[RAW_STRING_LITERAL_START] &&
-        (lexer->lookahead == 'r' || lexer->lookahead == 'b' || lexer->lookahead == 'c')) {
+    if (valid_symbols[FRONTMATTER_START] && lexer->lookahead == '-') {
+        return scan_frontmatter_start(scanner, lexer);
+    }
+
+    if (valid_symbols[LITERAL_PREFIX] && (lexer->lookahead == 'b' || lexer->lookahead == 'c')) {
+        return scan_literal_prefix(lexer);
+    }
+
+    if (valid_symbols[RAW_STRING_LITERAL_START] && lexer->lookahead == 'r') {
         return scan_raw_string_start(scanner, lexer);
     }
 
@@ -0,0 +1,78 @@
+extern crate alloc;
+//           ^ definition.module
+extern crate std as ruststd;
+//                  ^ definition.module
+
+use std::collections::HashMap as Map;
+//                               ^ definition.alias
+
+/// A point.
+#[derive(Debug)]
+pub struct Point<T> {
+//         ^ definition.class
+    pub x: T,
+    //  ^ definition.field
+}
+
+enum Shape {
+//   ^ definition.class
+    Circle { radius: f64 },
+    // <- definition.enum_variant
+    //       ^ definition.field
+    Square(f64),
+    // <- definition.enum_variant
+}
+
+const ORIGIN: Point<i32> = Point { x: 0 };
+//    ^ definition.constant
+static mut COUNT: usize = 0;
+//         ^ definition.constant
+
+trait Area {
+//    ^ definition.interface
+    type Output;
+    //   ^ definition.type
+    fn area(&self) -> Self::Output;
+    // ^ definition.method
+}
+
+impl<T> Point<T> {
+//      ^ reference.implementation
+    fn new(x: T) -> Self {
+    // ^ definition.method
+        Point { x }
+    }
+}
+
+impl area::Area for shapes::Shape {
+//         ^ reference.implementation
+    type Output = f64;
+
+    fn area(&self) -> f64 {
+        compute(self).sqrt()
+        // <- reference.call
+        //            ^ reference.call
+    }
+}
+
+extern "C" {
+    fn abs(input: i32) -> i32;
+    // ^ definition.function
+    static errno: i32;
+    //     ^ definition.constant
+}
+
+mod geometry {}
+//  ^ definition.module
+
+macro_rules! square {
+//           ^ definition.macro
+    ($x:expr) => { $x * $x };
+}
+
+fn main() {
+// ^ definition.function
+    std::process::exit(square!(2));
+    //            ^ reference.call
+    //                 ^ reference.call
+}